@@ -1,18 +1,18 @@
-const { execSync } = require('child_process');
-const path = require('path');
+const { initDatabase, closeDatabase } = require('../db');
+const { fetchReferences } = require('../mongoFetcher');
 
 /**
  * Получение коллекций с сервера
- * Выполняет bash скрипт для экспорта данных из MongoDB
+ * Выгружает справочники из MongoDB в БД и файлы data/ и сохраняет выгрузку как снимок справочников (см. mongoFetcher.js):
+ * коды, пропавшие с предыдущего снимка, при запуске становятся источником ошибок
  */
 async function fetchCollections() {
-  const scriptPath = path.join(__dirname, '..', 'scripts', 'fetch_mongo_data.sh');
-  
   console.log('\nСкачивание коллекций с сервера...');
   console.log('-'.repeat(50));
-  
+
   try {
-    execSync(`bash ${scriptPath}`, { stdio: 'inherit' });
+    initDatabase();
+    await fetchReferences();
     console.log('-'.repeat(50));
     console.log('✓ Скачивание коллекций завершено успешно');
   } catch (error) {
@@ -20,6 +20,8 @@ async function fetchCollections() {
     console.error('✗ Ошибка при скачивании коллекций');
     console.error(error.message);
     throw error;
+  } finally {
+    closeDatabase();
   }
 }
 
@@ -41,7 +41,7 @@ async function sendResultsToServer() {
     // Проверяем формат данных
     if (!Array.isArray(redirectsData)) {
       console.log('✗ Неверный формат данных в result.json');
-      console.log('  Ожидается массив объектов [{from, to, precent}, ...]');
+      console.log('  Ожидается массив объектов [{from, to, precent, strategy}, ...]');
       return;
     }
     
@@ -60,9 +60,16 @@ async function sendResultsToServer() {
       }
     }
     
+    // Процент соответствия обязателен: запасные стратегии (например, поиск по сайту) экспортируются с 0%,
+    // и строка без процента не должна уйти на сервер как уверенное совпадение
+    const withoutPercent = redirectsData.filter(item => typeof item.precent !== 'number' || isNaN(item.precent));
+    if (withoutPercent.length > 0) {
+      console.log(`⚠️  Пропущено записей без процента соответствия (precent): ${withoutPercent.length}`);
+    }
+    
     // Преобразуем полные URL в пути для API
     // result.json содержит полные URL с BASE_URL, но API ожидает пути
-    const redirects = redirectsData.map(item => {
+    const redirects = redirectsData.filter(item => !withoutPercent.includes(item)).map(item => {
       // Извлекаем путь из полного URL (если это URL) или используем как есть (если уже путь)
       const fromPath = item.from.startsWith('http') 
         ? item.from.replace(/^https?:\/\/[^\/]+/, '') || '/'
@@ -74,10 +81,17 @@ async function sendResultsToServer() {
       return {
         from: fromPath,
         to: toPath,
-        precent: item.precent || 100
+        precent: item.precent,
+        // Стратегия подбора (match, ancestor, search...), если она есть в result.json
+        ...(item.strategy ? { strategy: item.strategy } : {})
       };
     });
     
+    if (redirects.length === 0) {
+      console.log('✗ Нет данных для отправки');
+      return;
+    }
+    
     console.log(`\nОтправка ${redirects.length} редиректов на сервер...`);
     console.log(`Отправка батчами по 20 записей`);
     console.log('-'.repeat(50));
@@ -0,0 +1,158 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Чтение JSON файла настроек (путь относительно корня проекта)
+ * @param {string|undefined} filePath - путь к файлу
+ * @returns {*|null} содержимое файла или null, если путь не задан
+ */
+function readJsonConfig(filePath) {
+  if (!filePath) return null;
+  
+  const fullPath = path.resolve(__dirname, filePath);
+  try {
+    return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Ошибка при чтении файла настроек ${fullPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Настройки обработки редиректов
+ * Значения берутся из переменных окружения (файл .env), иначе используются значения по умолчанию
+ */
+const config = {
+  run: {
+    // Режим запуска: 'full' - пересоздать таблицы, 'incremental' - сохранить статусы и принятые редиректы
+    // (переопределяется аргументами --full и --incremental)
+    mode: process.env.RUN_MODE || 'full',
+    // Срок актуальности проверенного статуса URL в часах (в инкрементальном режиме)
+    statusTtlHours: parseFloat(process.env.STATUS_TTL_HOURS || '168'),
+    // Источник статусов URL: 'live' - HTTP запросы, 'offline' - колонки CSV обхода без обращений к сети,
+    // 'hybrid' - CSV, а строки с lastAccess старше csvMaxAgeDays - HTTP запросом
+    // (переопределяется аргументами --offline и --hybrid)
+    statusSource: process.env.STATUS_SOURCE || 'live',
+    // Срок актуальности статуса из CSV обхода в днях (в режиме 'hybrid')
+    csvMaxAgeDays: parseFloat(process.env.CSV_MAX_AGE_DAYS || '7')
+  },
+  import: {
+    // Хост сайта для относительных URL из CSV обхода, access логов и выгрузок
+    host: process.env.IMPORT_HOST || 'https://frizar.ru',
+    // Статусы, которые считаются ошибками при импорте CSV обхода и access логов
+    statuses: (process.env.IMPORT_STATUSES || '404,410,500')
+      .split(',')
+      .map(status => parseInt(status.trim(), 10))
+      .filter(status => !isNaN(status)),
+    // Дополнительные источники ошибок (пути относительно корня проекта, отсутствующие пропускаются)
+    accessLogDir: process.env.ACCESS_LOG_DIR || 'data/access_logs',
+    searchConsoleDir: process.env.SEARCH_CONSOLE_DIR || 'data/search_console',
+    sitemapPrevious: process.env.SITEMAP_PREVIOUS || 'data/sitemap.previous.xml',
+    sitemapCurrent: process.env.SITEMAP_CURRENT || 'data/sitemap.xml',
+    // Снимки справочников по датам выгрузки: коды, пропавшие с предыдущего снимка, становятся источником ошибок
+    snapshotDir: process.env.REFERENCE_SNAPSHOT_DIR || 'data/snapshots'
+  },
+  ingest: {
+    // Размер пачки записей: вставка входных файлов в БД одной транзакцией и поиск соответствий
+    chunkSize: parseInt(process.env.INGEST_CHUNK_SIZE || '10000', 10)
+  },
+  references: {
+    // Поля записей справочников (выгрузки MongoDB), путь через точку для вложенных полей ('brand.name').
+    // Отсутствующие поля остаются пустыми, запись без признака активности считается активной
+    fields: {
+      externalId: process.env.REFERENCE_FIELD_ID || 'id',
+      name: process.env.REFERENCE_FIELD_NAME || 'name',
+      parentCode: process.env.REFERENCE_FIELD_PARENT || 'parentCode',
+      brand: process.env.REFERENCE_FIELD_BRAND || 'brand',
+      active: process.env.REFERENCE_FIELD_ACTIVE || 'active'
+    }
+  },
+  mongo: {
+    // Строка подключения к MongoDB. При подключении через SSH туннель хост и порт указываются так,
+    // как они видны с SSH сервера (например, опубликованный порт контейнера mongo_db)
+    uri: process.env.MONGO_URI || 'mongodb://127.0.0.1:27017',
+    db: process.env.MONGO_DB || 'nest',
+    // Аутентификация (пусто - без аутентификации или учетные данные из MONGO_URI)
+    username: process.env.MONGO_USERNAME || '',
+    password: process.env.MONGO_PASSWORD || '',
+    authDb: process.env.MONGO_AUTH_DB || 'admin',
+    // Коллекции MongoDB по справочникам
+    collections: {
+      products: process.env.MONGO_COLLECTION_PRODUCTS || 'product1cs',
+      catalog: process.env.MONGO_COLLECTION_CATALOG || 'catalog1cs'
+    },
+    // Таймаут подключения (выбора сервера) в миллисекундах
+    connectTimeoutMs: parseInt(process.env.MONGO_CONNECT_TIMEOUT_MS || '10000', 10),
+    // SSH туннель до сервера MongoDB: адрес 'user@host' (пусто - подключение напрямую),
+    // локальный порт туннеля (0 - любой свободный)
+    ssh: {
+      host: process.env.SSH_HOST || '',
+      localPort: parseInt(process.env.SSH_LOCAL_PORT || '0', 10)
+    }
+  },
+  http: {
+    // Количество одновременных проверок URL
+    concurrency: parseInt(process.env.HTTP_CONCURRENCY || '10', 10),
+    // Максимальное количество HTTP запросов в секунду (0 - без ограничения)
+    requestsPerSecond: parseFloat(process.env.HTTP_REQUESTS_PER_SECOND || '20'),
+    // Повторы после ошибок сети и ответов 5xx, задержка перед первым повтором (далее удваивается)
+    retries: parseInt(process.env.HTTP_RETRIES || '3', 10),
+    retryDelayMs: parseInt(process.env.HTTP_RETRY_DELAY_MS || '1000', 10),
+    // Таймаут одного запроса
+    timeoutMs: parseInt(process.env.HTTP_TIMEOUT_MS || '10000', 10),
+    // Заголовок User-Agent проверок
+    userAgent: process.env.HTTP_USER_AGENT || 'redirects_ex_rules/1.0 (+https://frizar.ru)',
+    // Сначала HEAD запрос, GET - только если сервер не поддерживает HEAD
+    headFirst: process.env.HTTP_HEAD_FIRST === 'true',
+    // Срок актуальности результатов проверок в кэше (http_cache) в часах, 0 - без кэша
+    cacheTtlHours: parseFloat(process.env.HTTP_CACHE_TTL_HOURS || '12')
+  },
+  matching: {
+    // Алгоритм сравнения: 'levenshtein' - по всей строке, 'token' - по словам slug
+    scorer: process.env.MATCH_SCORER || 'levenshtein',
+    // Количество кандидатов, сохраняемых для каждого URL
+    topN: parseInt(process.env.MATCH_TOP_N || '5', 10),
+    // Порог уверенного совпадения: ниже него URL перенаправляется на родительскую категорию из пути
+    minPercent: parseFloat(process.env.MATCH_MIN_PERCENT || '60'),
+    // Вес родительских сегментов пути при выборе кандидата (0 - не учитывать)
+    contextWeight: parseFloat(process.env.MATCH_CONTEXT_WEIGHT || '0.3'),
+    // Вес названия записи справочника при выборе кандидата (0 - не учитывать)
+    nameWeight: parseFloat(process.env.MATCH_NAME_WEIGHT || '0.3'),
+    // Бонус (в процентных пунктах) основному справочнику правила маршрута при выборе между товаром и категорией
+    typePrior: parseFloat(process.env.MATCH_TYPE_PRIOR || '10'),
+    // Количество воркеров для сопоставления: число или 'auto' (по числу ядер), 1 - без воркеров
+    workers: process.env.MATCH_WORKERS || 1,
+    // Классы транслитерации [['kh', 'h', 'x'], ...], null - классы по умолчанию из fuzzyMatch.js
+    transliterationClasses: readJsonConfig(process.env.TRANSLITERATION_FILE),
+    // Проверка чисел и артикулов: 'off', 'penalize' (множитель за каждое несовпадение) или 'reject'
+    numeric: {
+      mode: process.env.NUMERIC_MODE || 'penalize',
+      numberPenalty: parseFloat(process.env.NUMERIC_NUMBER_PENALTY || '0.6'),
+      articlePenalty: parseFloat(process.env.NUMERIC_ARTICLE_PENALTY || '0.3')
+    }
+  },
+  export: {
+    // Минимальный процент для редиректов запасных стратегий (ancestor, similar_products, search) при экспорте;
+    // пусто - тот же порог, что для остальных редиректов, 0 - все редиректы запасных стратегий
+    fallbackMinPercent: process.env.EXPORT_FALLBACK_MIN_PERCENT ? parseFloat(process.env.EXPORT_FALLBACK_MIN_PERCENT) : null
+  },
+  validation: {
+    // Проверять после поиска, что целевые URL редиректов отвечают 200 (см. validateTargets.js)
+    enabled: (process.env.VALIDATE_TARGETS || 'true') !== 'false'
+  },
+  // Правила маршрутов и справочники (см. routes.js)
+  routes: readJsonConfig(process.env.ROUTES_FILE || 'routes.json'),
+  fallback: {
+    // Порядок стратегий подбора редиректа (см. FALLBACK_STRATEGIES в matcher.js)
+    strategies: (process.env.FALLBACK_STRATEGIES || 'match,ancestor,similar_products,search')
+      .split(',')
+      .map(strategy => strategy.trim())
+      .filter(Boolean),
+    // Минимальный процент соответствия товара, чтобы он голосовал за категорию в similar_products
+    similarMinPercent: parseFloat(process.env.FALLBACK_SIMILAR_MIN_PERCENT || '30'),
+    // Шаблон URL поиска по сайту, {query} - слова из slug
+    searchUrlTemplate: process.env.SEARCH_URL_TEMPLATE || 'https://frizar.ru/search?q={query}'
+  }
+};
+
+module.exports = config;
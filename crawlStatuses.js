@@ -0,0 +1,26 @@
+const { readCrawlCsv } = require('./importers/crawlCsv');
+const config = require('./config');
+
+/**
+ * Чтение статусов URL из CSV обхода (колонки url, currentHttpCode, prevHttpCode, lastAccess)
+ * Если URL встречается в нескольких файлах, используется строка с самой поздней датой обращения
+ * @param {Array<string>} csvFiles - пути к CSV файлам
+ * @returns {Map<string, {status: number, prevStatus: number|null, lastAccess: string|null}>} статусы по нормализованному URL
+ */
+function readCsvStatuses(csvFiles) {
+  const statuses = new Map();
+
+  for (const record of readCrawlCsv(csvFiles, { host: config.import.host })) {
+    statuses.set(record.url, {
+      status: record.status,
+      prevStatus: record.prevStatus,
+      lastAccess: record.lastSeen
+    });
+  }
+
+  return statuses;
+}
+
+module.exports = {
+  readCsvStatuses
+};
@@ -0,0 +1,160 @@
+const fs = require('fs');
+
+// Разделители, из которых выбирается разделитель файла
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Разбор CSV по RFC 4180: поля в кавычках могут содержать разделитель, перевод строки
+ * и экранированные кавычки ("")
+ * @param {string} text - содержимое CSV
+ * @param {string} delimiter - разделитель полей (по умолчанию ',')
+ * @returns {Array<Array<string>>} записи (массивы значений); пустые строки пропускаются
+ */
+function parseCsv(text, delimiter = ',') {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  const endRecord = () => {
+    record.push(field);
+    // Пустая строка - не запись
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+    field = '';
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\r' && text[i + 1] === '\n') {
+      endRecord();
+      i++;
+    } else if (char === '\n' || char === '\r') {
+      endRecord();
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+/**
+ * Определение разделителя по первой строке (заголовку): выбирается разделитель,
+ * который встречается вне кавычек чаще остальных
+ * @param {string} text - содержимое CSV
+ * @returns {string} разделитель (',' если ни один не найден)
+ */
+function detectDelimiter(text) {
+  const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    }
+  }
+
+  let best = ',';
+  for (const [delimiter, count] of counts) {
+    if (count > counts.get(best)) {
+      best = delimiter;
+    }
+  }
+  return best;
+}
+
+/**
+ * Определение кодировки и декодирование содержимого файла
+ * Кодировка определяется по BOM (UTF-8, UTF-16 LE/BE), файл без BOM читается как UTF-8,
+ * а если он не является корректным UTF-8 - как windows-1251 (выгрузки из Excel)
+ * @param {Buffer} buffer - содержимое файла
+ * @returns {{text: string, encoding: string}} текст без BOM и определенная кодировка
+ */
+function decodeBuffer(buffer) {
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return { text: buffer.subarray(3).toString('utf8'), encoding: 'utf-8' };
+  }
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'utf-16le' };
+  }
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'utf-16be' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch (error) {
+    return { text: new TextDecoder('windows-1251').decode(buffer), encoding: 'windows-1251' };
+  }
+}
+
+/**
+ * Чтение CSV файла с заголовками
+ * Разделитель и кодировка определяются автоматически, если не заданы
+ * @param {string} filePath - путь к файлу
+ * @param {Object} options - опции чтения
+ * @param {string} options.delimiter - разделитель полей (по умолчанию определяется по заголовку)
+ * @returns {{headers: Array<string>, rows: Array<Object<string, string>>, delimiter: string, encoding: string}}
+ * заголовки, строки (объекты по заголовкам), разделитель и кодировка файла
+ */
+function readCsvFile(filePath, options = {}) {
+  const { text, encoding } = decodeBuffer(fs.readFileSync(filePath));
+  const delimiter = options.delimiter || detectDelimiter(text);
+  const records = parseCsv(text, delimiter);
+
+  if (records.length === 0) {
+    return { headers: [], rows: [], delimiter, encoding };
+  }
+
+  const headers = records[0].map(header => header.trim());
+  const rows = records.slice(1).map(values => {
+    const row = {};
+    headers.forEach((header, i) => {
+      row[header] = values[i] !== undefined ? values[i].trim() : undefined;
+    });
+    return row;
+  });
+
+  return { headers, rows, delimiter, encoding };
+}
+
+module.exports = {
+  parseCsv,
+  detectDelimiter,
+  decodeBuffer,
+  readCsvFile
+};
@@ -1,10 +1,12 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const { migrate } = require('./migrations');
 
 let db = null;
 
 /**
  * Инициализация подключения к БД
+ * Схема БД обновляется до последней версии (см. migrations.js)
  * @param {string} dbPath - путь к файлу БД
  * @returns {Database} экземпляр БД
  */
@@ -16,6 +18,11 @@ function initDatabase(dbPath = 'redirects.db') {
   db = new Database(dbPath);
   db.pragma('journal_mode = WAL'); // Включаем WAL режим для лучшей производительности
   
+  const { from, to } = migrate(db);
+  if (from !== to) {
+    console.log(`Схема БД обновлена: версия ${from} -> ${to}`);
+  }
+  
   return db;
 }
 
@@ -30,137 +37,307 @@ function closeDatabase() {
 }
 
 /**
- * Создание/пересоздание таблицы actualStatus
+ * Очистка таблиц
+ * @param {Array<string>} tables - имена таблиц
  */
-function createActualStatusTable() {
-  db.exec(`
-    DROP TABLE IF EXISTS actualStatus;
-    CREATE TABLE actualStatus (
-      url TEXT UNIQUE NOT NULL,
-      status INTEGER,
-      final_url TEXT,
-      PRIMARY KEY (url)
-    );
-    CREATE INDEX idx_actualStatus_url ON actualStatus(url);
-    CREATE INDEX idx_actualStatus_final_url ON actualStatus(final_url);
-  `);
-  console.log('Таблица actualStatus создана/пересоздана');
+function clearTables(tables) {
+  const clear = db.transaction(() => {
+    for (const table of tables) {
+      db.exec(`DELETE FROM ${table}`);
+    }
+  });
+  
+  clear();
+  console.log(`Таблицы очищены: ${tables.join(', ')}`);
 }
 
 /**
- * Создание/пересоздание таблицы products
+ * Выполнение асинхронной функции в одной транзакции
+ * db.transaction принимает только синхронные функции, поэтому транзакция открывается вручную:
+ * вставки пачками внутри нее (db.transaction) становятся точками сохранения. При ошибке все изменения
+ * откатываются. Другие записи в БД во время выполнения функции не допускаются
+ * @param {Function} callback - асинхронная функция
+ * @returns {Promise<*>} результат функции
  */
-function createProductsTable() {
-  db.exec(`
-    DROP TABLE IF EXISTS products;
-    CREATE TABLE products (
-      code TEXT UNIQUE NOT NULL,
-      PRIMARY KEY (code)
-    );
-    CREATE INDEX idx_products_code ON products(code);
-  `);
-  console.log('Таблица products создана/пересоздана');
+async function runInTransaction(callback) {
+  db.exec('BEGIN');
+  try {
+    const result = await callback();
+    db.exec('COMMIT');
+    return result;
+  } catch (error) {
+    if (db.inTransaction) {
+      db.exec('ROLLBACK');
+    }
+    throw error;
+  }
 }
 
 /**
- * Создание/пересоздание таблицы catalog
+ * Подготовка таблиц к запуску
+ * Схема таблиц создается и обновляется миграциями (см. migrations.js) при initDatabase.
+ * Справочники всегда очищаются (они загружаются из актуальной выгрузки целиком).
+ * Статусы URL и редиректы очищаются только при полном запуске.
+ * Кэш HTTP проверок (http_cache) не очищается, устаревшие результаты не используются
+ * @param {boolean} reset - очистить таблицы статусов и редиректов (по умолчанию true);
+ * false - инкрементальный запуск: сохраняются статусы, редиректы и решения ручной проверки
+ * @param {boolean} keepStatuses - при полном запуске сохранить статусы URL и цепочки редиректов
+ * (продолжение прерванного запуска, по умолчанию false)
  */
-function createCatalogTable() {
-  db.exec(`
-    DROP TABLE IF EXISTS catalog;
-    CREATE TABLE catalog (
-      code TEXT UNIQUE NOT NULL,
-      PRIMARY KEY (code)
-    );
-    CREATE INDEX idx_catalog_code ON catalog(code);
-  `);
-  console.log('Таблица catalog создана/пересоздана');
+function createAllTables(reset = true, keepStatuses = false) {
+  const tables = ['products', 'catalog', 'reference_codes'];
+  if (reset) {
+    if (!keepStatuses) {
+      tables.push('actualStatus', 'error_sources', 'redirect_hops');
+    }
+    tables.push('redirects', 'redirect_candidates', 'site_redirects');
+  }
+  clearTables(tables);
 }
 
 /**
- * Создание/пересоздание таблицы redirects
+ * Batch insert для actualStatus
+ * URL, которые уже есть в таблице, не изменяются (статус и время проверки сохраняются).
+ * Для записей с источником (source) в error_sources сохраняются количество обращений, дата последнего
+ * обращения и статус по данным источника
+ * @param {Array<{url: string, source?: string, hits?: number, lastSeen?: string|null, status?: number|null}>} errors - массив объектов с url
+ * @param {string|null} defaultSource - источник записей без поля source (null - не сохранять источник)
+ * @returns {number} количество новых URL
  */
-function createRedirectsTable() {
-  db.exec(`
-    DROP TABLE IF EXISTS redirects;
-    CREATE TABLE redirects (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      from_url TEXT NOT NULL,
-      to_url TEXT NOT NULL,
-      percent REAL NOT NULL
-    );
-    CREATE INDEX idx_redirects_from ON redirects(from_url);
+function insertErrors(errors, defaultSource = null) {
+  const insert = db.prepare('INSERT OR IGNORE INTO actualStatus (url) VALUES (?)');
+  const insertSource = db.prepare(`
+    INSERT INTO error_sources (url, source, hits, last_seen, reported_status) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (url, source) DO UPDATE SET
+      hits = excluded.hits,
+      last_seen = MAX(COALESCE(last_seen, ''), COALESCE(excluded.last_seen, '')),
+      reported_status = COALESCE(excluded.reported_status, reported_status)
   `);
-  console.log('Таблица redirects создана/пересоздана');
+  let inserted = 0;
+  const insertMany = db.transaction((errors) => {
+    for (const error of errors) {
+      inserted += insert.run(error.url).changes;
+      
+      const source = error.source || defaultSource;
+      if (source) {
+        insertSource.run(error.url, source, error.hits ?? 1, error.lastSeen ?? null, error.status ?? null);
+      }
+    }
+  });
+  
+  insertMany(errors);
+  console.log(`Вставлено ${inserted} новых записей в actualStatus (всего записей ${errors.length})`);
+  return inserted;
 }
 
 /**
- * Создание всех таблиц
+ * Получение источников, сообщивших об ошибке URL
+ * @param {string} url - URL
+ * @returns {Array<{source: string, hits: number, last_seen: string|null, reported_status: number|null}>}
  */
-function createAllTables() {
-  createActualStatusTable();
-  createProductsTable();
-  createCatalogTable();
-  createRedirectsTable();
+function getErrorSources(url) {
+  return db.prepare(`
+    SELECT source, hits, NULLIF(last_seen, '') AS last_seen, reported_status FROM error_sources
+    WHERE url = ? ORDER BY source
+  `).all(url);
 }
 
 /**
- * Batch insert для actualStatus
- * @param {Array<{url: string}>} errors - массив объектов с url
+ * Обновление статуса для URL
+ * @param {string} url - URL
+ * @param {number|null} status - HTTP статус код (null - статус получить не удалось)
+ * @param {string} finalUrl - финальный URL после редиректов (опционально)
+ * @param {Object} details - подробности проверки (опционально)
+ * @param {number} details.responseTimeMs - время ответа в мс
+ * @param {string|null} details.errorClass - класс ошибки ('timeout', 'dns', 'connection', 'http_5xx'...)
+ * @param {number} details.attempts - количество попыток
+ * @param {string} details.source - источник статуса: 'http' (по умолчанию) или 'csv'
+ * @param {number|null} details.prevStatus - предыдущий статус из CSV обхода
+ * @param {string|null} details.checkedAt - время проверки (UTC, формат datetime SQLite), по умолчанию - текущее
  */
-function insertErrors(errors) {
-  const insert = db.prepare('INSERT OR IGNORE INTO actualStatus (url) VALUES (?)');
-  const insertMany = db.transaction((errors) => {
-    for (const error of errors) {
-      insert.run(error.url);
-    }
+function updateErrorStatus(url, status, finalUrl = null, details = {}) {
+  const update = db.prepare(`
+    UPDATE actualStatus SET status = ?, final_url = ?, response_time_ms = ?, error_class = ?, attempts = ?,
+      status_source = ?, prev_status = ?, checked_at = COALESCE(?, datetime('now'))
+    WHERE url = ?
+  `);
+  update.run(
+    status,
+    finalUrl,
+    details.responseTimeMs ?? null,
+    details.errorClass ?? null,
+    details.attempts ?? null,
+    details.source || 'http',
+    details.prevStatus ?? null,
+    details.checkedAt ?? null,
+    url
+  );
+}
+
+/**
+ * Сохранение цепочки редиректов, пройденной при проверке URL
+ * Предыдущая цепочка URL заменяется
+ * @param {string} url - проверенный URL
+ * @param {Array<{url: string, status: number, location: string|null}>} chain - шаги цепочки по порядку
+ * (последний шаг - финальная страница)
+ */
+function saveRedirectChain(url, chain) {
+  const remove = db.prepare('DELETE FROM redirect_hops WHERE url = ?');
+  const insert = db.prepare('INSERT INTO redirect_hops (url, hop, hop_url, status, location) VALUES (?, ?, ?, ?, ?)');
+  const save = db.transaction(() => {
+    remove.run(url);
+    chain.forEach((step, hop) => {
+      insert.run(url, hop, step.url, step.status, step.location);
+    });
   });
   
-  insertMany(errors);
-  console.log(`Вставлено ${errors.length} записей в actualStatus`);
+  save();
 }
 
 /**
- * Обновление статуса для URL
+ * Получение сохраненной цепочки редиректов URL
+ * @param {string} url - проверенный URL
+ * @returns {Array<{url: string, status: number, location: string|null}>} шаги цепочки (пустой массив, если URL не проверялся)
+ */
+function getRedirectChain(url) {
+  return db.prepare(`
+    SELECT hop_url AS url, status, location FROM redirect_hops
+    WHERE url = ? ORDER BY hop
+  `).all(url);
+}
+
+/**
+ * Получение URL, статус которых неизвестен или устарел
+ * @param {number} maxAgeHours - срок актуальности проверенного статуса в часах
+ * @returns {Array<string>} URL для проверки
+ */
+function getUrlsToCheck(maxAgeHours) {
+  return db.prepare(`
+    SELECT url FROM actualStatus
+    WHERE status IS NULL OR checked_at IS NULL OR checked_at < datetime('now', ?)
+  `).all(`-${maxAgeHours} hours`).map(row => row.url);
+}
+
+/**
+ * Получение URL, статус которых не проверялся с указанного момента
+ * Используется при продолжении прерванного запуска
+ * @param {string} since - время начала прерванного запуска (UTC, формат datetime SQLite)
+ * @returns {Array<string>} URL для проверки
+ */
+function getUrlsNotCheckedSince(since) {
+  return db.prepare(`
+    SELECT url FROM actualStatus
+    WHERE status IS NULL OR checked_at IS NULL OR checked_at < ?
+  `).all(since).map(row => row.url);
+}
+
+/**
+ * Получение результата HTTP проверки из кэша
  * @param {string} url - URL
- * @param {number} status - HTTP статус код
- * @param {string} finalUrl - финальный URL после редиректов (опционально)
+ * @param {number} maxAgeHours - срок актуальности результата в часах
+ * @returns {{status: number, finalUrl: string|null, chain: Array<Object>, responseTimeMs: number, attempts: number}|null}
+ * результат проверки или null, если в кэше нет актуального результата
+ */
+function getCachedCheck(url, maxAgeHours) {
+  const row = db.prepare(`
+    SELECT status, final_url, chain, response_time_ms, attempts FROM http_cache
+    WHERE url = ? AND checked_at >= datetime('now', ?)
+  `).get(url, `-${maxAgeHours} hours`);
+  
+  if (!row) {
+    return null;
+  }
+  return {
+    status: row.status,
+    finalUrl: row.final_url,
+    chain: row.chain ? JSON.parse(row.chain) : [],
+    responseTimeMs: row.response_time_ms,
+    attempts: row.attempts
+  };
+}
+
+/**
+ * Сохранение результата HTTP проверки в кэш
+ * @param {string} url - URL
+ * @param {{status: number, finalUrl: string|null, chain: Array<Object>, responseTimeMs: number, attempts: number}} result - результат проверки
+ */
+function saveCachedCheck(url, result) {
+  db.prepare(`
+    INSERT OR REPLACE INTO http_cache (url, status, final_url, chain, response_time_ms, attempts, checked_at)
+    VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+  `).run(url, result.status, result.finalUrl, JSON.stringify(result.chain), result.responseTimeMs, result.attempts);
+}
+
+// Колонки записи справочника (products, catalog, reference_codes)
+const REFERENCE_COLUMNS = 'code, external_id, name, parent_code, brand, active';
+
+/**
+ * Значения колонок записи справочника
+ * @param {string|{code: string, externalId: string|null, name: string|null, parentCode: string|null,
+ * brand: string|null, active: boolean}} item - код или запись справочника
+ * @returns {Array} значения в порядке REFERENCE_COLUMNS
  */
-function updateErrorStatus(url, status, finalUrl = null) {
-  const update = db.prepare('UPDATE actualStatus SET status = ?, final_url = ? WHERE url = ?');
-  update.run(status, finalUrl, url);
+function referenceValues(item) {
+  if (typeof item === 'string') {
+    return [item, null, null, null, null, 1];
+  }
+  return [
+    item.code,
+    item.externalId ?? null,
+    item.name ?? null,
+    item.parentCode ?? null,
+    item.brand ?? null,
+    item.active === false ? 0 : 1
+  ];
 }
 
 /**
  * Batch insert для products
- * @param {Array<string>} codes - массив кодов
+ * @param {Array<string|Object>} items - коды или записи справочника (см. referenceValues)
  */
-function insertProducts(codes) {
-  const insert = db.prepare('INSERT OR IGNORE INTO products (code) VALUES (?)');
-  const insertMany = db.transaction((codes) => {
-    for (const code of codes) {
-      insert.run(code);
+function insertProducts(items) {
+  const insert = db.prepare(`INSERT OR IGNORE INTO products (${REFERENCE_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?)`);
+  const insertMany = db.transaction((items) => {
+    for (const item of items) {
+      insert.run(...referenceValues(item));
     }
   });
   
-  insertMany(codes);
-  console.log(`Вставлено ${codes.length} записей в products`);
+  insertMany(items);
+  console.log(`Вставлено ${items.length} записей в products`);
 }
 
 /**
  * Batch insert для catalog
- * @param {Array<string>} codes - массив кодов
+ * @param {Array<string|Object>} items - коды или записи справочника (см. referenceValues)
  */
-function insertCatalog(codes) {
-  const insert = db.prepare('INSERT OR IGNORE INTO catalog (code) VALUES (?)');
-  const insertMany = db.transaction((codes) => {
-    for (const code of codes) {
-      insert.run(code);
+function insertCatalog(items) {
+  const insert = db.prepare(`INSERT OR IGNORE INTO catalog (${REFERENCE_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?)`);
+  const insertMany = db.transaction((items) => {
+    for (const item of items) {
+      insert.run(...referenceValues(item));
     }
   });
   
-  insertMany(codes);
-  console.log(`Вставлено ${codes.length} записей в catalog`);
+  insertMany(items);
+  console.log(`Вставлено ${items.length} записей в catalog`);
+}
+
+/**
+ * Batch insert для дополнительного справочника
+ * @param {string} collection - имя справочника
+ * @param {Array<string|Object>} items - коды или записи справочника (см. referenceValues)
+ */
+function insertReferenceCodes(collection, items) {
+  const insert = db.prepare(`INSERT OR IGNORE INTO reference_codes (collection, ${REFERENCE_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?, ?)`);
+  const insertMany = db.transaction((items) => {
+    for (const item of items) {
+      insert.run(collection, ...referenceValues(item));
+    }
+  });
+  
+  insertMany(items);
+  console.log(`Вставлено ${items.length} записей в справочник ${collection}`);
 }
 
 /**
@@ -181,41 +358,228 @@ function getErrorsByStatus(minStatus = 400) {
 }
 
 /**
- * Получение всех кодов из products
- * @returns {Array<{code: string}>}
+ * Получение всех записей из products
+ * @returns {Array<{code: string, external_id: string|null, name: string|null, parent_code: string|null,
+ * brand: string|null, active: number}>}
  */
 function getAllProducts() {
-  return db.prepare('SELECT code FROM products').all();
+  return db.prepare(`SELECT ${REFERENCE_COLUMNS} FROM products`).all();
 }
 
 /**
- * Получение всех кодов из catalog
- * @returns {Array<{code: string}>}
+ * Получение всех записей из catalog
+ * @returns {Array<Object>} записи (см. getAllProducts)
  */
 function getAllCatalog() {
-  return db.prepare('SELECT code FROM catalog').all();
+  return db.prepare(`SELECT ${REFERENCE_COLUMNS} FROM catalog`).all();
+}
+
+/**
+ * Получение всех записей справочника по имени
+ * @param {string} collection - 'products', 'catalog' или имя дополнительного справочника
+ * @returns {Array<Object>} записи (см. getAllProducts; active = 0 - неактивная или неопубликованная)
+ */
+function getReferenceCodes(collection) {
+  if (collection === 'products') {
+    return getAllProducts();
+  }
+  if (collection === 'catalog') {
+    return getAllCatalog();
+  }
+  return db.prepare(`SELECT ${REFERENCE_COLUMNS} FROM reference_codes WHERE collection = ?`).all(collection);
+}
+
+/**
+ * Таблица записей справочника и условие отбора справочника в ней
+ * @param {string} collection - 'products', 'catalog' или имя дополнительного справочника
+ * @param {string} alias - псевдоним таблицы в запросе
+ * @returns {{table: string, filter: string, params: Array<string>}} таблица, условие (начинается с AND) и его параметры
+ */
+function referenceTable(collection, alias) {
+  if (collection === 'products' || collection === 'catalog') {
+    return { table: collection, filter: '', params: [] };
+  }
+  return { table: 'reference_codes', filter: `AND ${alias}.collection = ?`, params: [collection] };
+}
+
+/**
+ * Запись текущих кодов справочника в историю кодов по id 1С
+ * История не очищается между запусками: по ней находятся коды, которые сменились у той же записи 1С
+ * @param {string} collection - имя справочника
+ * @returns {number} количество новых пар (id 1С, код)
+ */
+function recordReferenceHistory(collection) {
+  const { table, filter, params } = referenceTable(collection, 'reference');
+  const countHistory = db.prepare('SELECT COUNT(*) AS count FROM reference_history WHERE collection = ?');
+  const before = countHistory.get(collection).count;
+
+  db.prepare(`
+    INSERT INTO reference_history (collection, external_id, code, first_seen, last_seen)
+    SELECT ?, reference.external_id, reference.code, datetime('now'), datetime('now') FROM ${table} reference
+    WHERE reference.external_id IS NOT NULL ${filter}
+    ON CONFLICT (collection, external_id, code) DO UPDATE SET last_seen = MAX(last_seen, excluded.last_seen)
+  `).run(collection, ...params);
+
+  const added = countHistory.get(collection).count - before;
+  console.log(`История кодов ${collection}: новых пар (id 1С, код): ${added}`);
+  return added;
+}
+
+/**
+ * Запись кодов из снимка справочника в историю кодов по id 1С
+ * @param {string} collection - имя справочника
+ * @param {Array<{code: string, externalId: string}>} records - записи снимка с id 1С
+ * @param {string} seenAt - дата снимка (формат datetime SQLite)
+ */
+function recordHistoryCodes(collection, records, seenAt) {
+  const upsert = db.prepare(`
+    INSERT INTO reference_history (collection, external_id, code, first_seen, last_seen) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (collection, external_id, code) DO UPDATE SET
+      first_seen = MIN(first_seen, excluded.first_seen),
+      last_seen = MAX(last_seen, excluded.last_seen)
+  `);
+  const upsertMany = db.transaction((records) => {
+    for (const record of records) {
+      upsert.run(collection, record.externalId, record.code, seenAt, seenAt);
+    }
+  });
+
+  upsertMany(records);
+}
+
+/**
+ * Даты снимков справочников, уже записанных в историю кодов
+ * @returns {Array<string>}
+ */
+function getRecordedSnapshots() {
+  return db.prepare('SELECT date FROM reference_snapshots ORDER BY date').all().map(row => row.date);
 }
 
 /**
- * Вставка редиректа
+ * Отметка снимка справочников как записанного в историю кодов
+ * @param {string} date - дата снимка
+ */
+function markSnapshotRecorded(date) {
+  db.prepare(`INSERT OR REPLACE INTO reference_snapshots (date, recorded_at) VALUES (?, datetime('now'))`).run(date);
+}
+
+/**
+ * Проверка, импортировано ли сравнение пары снимков справочников как источник ошибок
+ * @param {string} previousDate - дата предыдущего снимка
+ * @param {string} currentDate - дата текущего снимка
+ * @returns {boolean}
+ */
+function isReferenceDiffImported(previousDate, currentDate) {
+  return Boolean(db.prepare('SELECT 1 FROM reference_diffs WHERE previous_snapshot = ? AND current_snapshot = ?')
+    .get(previousDate, currentDate));
+}
+
+/**
+ * Отметка сравнения пары снимков справочников как импортированного
+ * @param {string} previousDate - дата предыдущего снимка
+ * @param {string} currentDate - дата текущего снимка
+ * @param {number} urls - количество импортированных URL
+ */
+function markReferenceDiffImported(previousDate, currentDate, urls) {
+  db.prepare(`
+    INSERT OR REPLACE INTO reference_diffs (previous_snapshot, current_snapshot, urls, imported_at)
+    VALUES (?, ?, ?, datetime('now'))
+  `).run(previousDate, currentDate, urls);
+}
+
+/**
+ * Текущий код записи справочника, у которой раньше был указанный код (переименование slug)
+ * Запись определяется по id 1С из истории кодов; код не считается переименованным,
+ * если он есть в текущем справочнике или новая запись неактивна
+ * @param {string} collection - имя справочника
+ * @param {string} code - прежний код
+ * @returns {{code: string, externalId: string}|null} текущий код и id 1С или null
+ */
+function getRenamedCode(collection, code) {
+  const current = referenceTable(collection, 'current');
+  const existing = referenceTable(collection, 'existing');
+  const row = db.prepare(`
+    SELECT current.code, current.external_id FROM reference_history history
+    JOIN ${current.table} current ON current.external_id = history.external_id ${current.filter}
+    WHERE history.collection = ? AND history.code = ? AND current.code != history.code AND current.active = 1
+      AND NOT EXISTS (SELECT 1 FROM ${existing.table} existing WHERE existing.code = history.code ${existing.filter})
+    ORDER BY history.last_seen DESC
+    LIMIT 1
+  `).get(...current.params, collection, code, ...existing.params);
+
+  return row ? { code: row.code, externalId: row.external_id } : null;
+}
+
+/**
+ * Вставка редиректа (прежний редирект для того же исходного URL заменяется)
  * @param {string} fromUrl - исходный URL
  * @param {string} toUrl - целевой URL
  * @param {number} percent - процент соответствия
  */
 function insertRedirect(fromUrl, toUrl, percent) {
-  const insert = db.prepare('INSERT INTO redirects (from_url, to_url, percent) VALUES (?, ?, ?)');
+  const insert = db.prepare(`
+    INSERT INTO redirects (from_url, to_url, percent) VALUES (?, ?, ?)
+    ON CONFLICT (from_url) DO UPDATE SET to_url = excluded.to_url, percent = excluded.percent
+  `);
   insert.run(fromUrl, toUrl, percent);
 }
 
 /**
  * Batch insert для redirects
- * @param {Array<{from: string, to: string, percent: number}>} redirects - массив редиректов
+ * В redirects записывается кандидат с rank 1, все кандидаты - в redirect_candidates
+ * @param {Array<{from: string, to: string, percent: number, strategy: string, details: Object, candidates: Array}>} redirects - массив редиректов
+ * (strategy - стратегия подбора: rename, match, ancestor, similar_products, search;
+ * classification - решение классификатора {rule, type, scores} (правило маршрута, справочник и лучшие проценты по справочникам);
+ * details - разбор оценки соответствия, сохраняется в score_details как JSON;
+ * candidates - массив {to, percent, strategy, details}, если не задан - только сам редирект;
+ * inputHash - хэш входных данных сопоставления)
+ * Прежние редирект и кандидаты для того же from_url заменяются
+ * @param {number|null} runId - запуск, в котором найдены редиректы (см. startRun)
  */
-function insertRedirects(redirects) {
-  const insert = db.prepare('INSERT INTO redirects (from_url, to_url, percent) VALUES (?, ?, ?)');
+function insertRedirects(redirects, runId = null) {
+  const deleteRedirect = db.prepare('DELETE FROM redirects WHERE from_url = ?');
+  const deleteCandidates = db.prepare('DELETE FROM redirect_candidates WHERE from_url = ?');
+  const insert = db.prepare(`
+    INSERT INTO redirects (
+      from_url, to_url, percent, score_details, rank, strategy,
+      url_type, target_type, product_score, catalog_score, input_hash, run_id
+    )
+    VALUES (?, ?, ?, ?, 1, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertCandidate = db.prepare(`
+    INSERT OR REPLACE INTO redirect_candidates (from_url, rank, to_url, percent, score_details, strategy)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
   const insertMany = db.transaction((redirects) => {
     for (const redirect of redirects) {
-      insert.run(redirect.from, redirect.to, redirect.percent);
+      const classification = redirect.classification || {};
+      deleteRedirect.run(redirect.from);
+      deleteCandidates.run(redirect.from);
+      insert.run(
+        redirect.from,
+        redirect.to,
+        redirect.percent,
+        redirect.details ? JSON.stringify(redirect.details) : null,
+        redirect.strategy || 'match',
+        classification.rule || null,
+        classification.type || null,
+        classification.scores?.products ?? null,
+        classification.scores?.catalog ?? null,
+        redirect.inputHash || null,
+        runId
+      );
+      
+      const candidates = redirect.candidates || [redirect];
+      candidates.forEach((candidate, i) => {
+        insertCandidate.run(
+          redirect.from,
+          i + 1,
+          candidate.to,
+          candidate.percent,
+          candidate.details ? JSON.stringify(candidate.details) : null,
+          candidate.strategy || 'match'
+        );
+      });
     }
   });
   
@@ -223,28 +587,319 @@ function insertRedirects(redirects) {
   console.log(`Вставлено ${redirects.length} записей в redirects`);
 }
 
+/**
+ * Состояние сохраненных редиректов для инкрементального запуска
+ * @returns {Map<string, {inputHash: string|null, accepted: boolean}>} состояние по исходному URL
+ */
+function getRedirectStates() {
+  const rows = db.prepare('SELECT from_url, input_hash, accepted FROM redirects').all();
+  return new Map(rows.map(row => [row.from_url, { inputHash: row.input_hash, accepted: row.accepted === 1 }]));
+}
+
+/**
+ * Удаление редиректов для URL, которые больше не являются ошибками
+ * Принятые при ручной проверке редиректы сохраняются
+ * @param {Set<string>} activeUrls - исходные URL текущих ошибок
+ * @returns {number} количество удаленных редиректов
+ */
+function deleteInactiveRedirects(activeUrls) {
+  const rows = db.prepare('SELECT from_url FROM redirects WHERE accepted = 0').all();
+  const deleteRedirect = db.prepare('DELETE FROM redirects WHERE from_url = ?');
+  const deleteCandidates = db.prepare('DELETE FROM redirect_candidates WHERE from_url = ?');
+  let deleted = 0;
+  
+  const deleteMany = db.transaction((rows) => {
+    for (const row of rows) {
+      if (activeUrls.has(row.from_url)) continue;
+      deleteRedirect.run(row.from_url);
+      deleteCandidates.run(row.from_url);
+      deleted++;
+    }
+  });
+  
+  deleteMany(rows);
+  return deleted;
+}
+
+/**
+ * Получение кандидатов для исходного URL
+ * @param {string} fromUrl - исходный URL
+ * @returns {Array<{rank: number, to_url: string, percent: number, strategy: string, score_details: string|null}>}
+ */
+function getRedirectCandidates(fromUrl) {
+  return db.prepare(`
+    SELECT rank, to_url, percent, strategy, score_details
+    FROM redirect_candidates
+    WHERE from_url = ?
+    ORDER BY rank
+  `).all(fromUrl);
+}
+
+/**
+ * Выбор кандидата для редиректа (ручная проверка)
+ * Редирект помечается принятым и сохраняется при инкрементальных запусках.
+ * Результат проверки прежнего целевого URL сбрасывается
+ * @param {string} fromUrl - исходный URL
+ * @param {number} rank - номер кандидата
+ * @returns {boolean} true, если редирект обновлен
+ */
+function promoteCandidate(fromUrl, rank) {
+  const candidate = db.prepare(`
+    SELECT to_url, percent, score_details, strategy
+    FROM redirect_candidates
+    WHERE from_url = ? AND rank = ?
+  `).get(fromUrl, rank);
+  
+  if (!candidate) {
+    return false;
+  }
+  
+  const result = db.prepare(`
+    UPDATE redirects SET to_url = ?, percent = ?, score_details = ?, rank = ?, strategy = ?, accepted = 1,
+      target_status = NULL, target_final_url = NULL, target_checked_at = NULL
+    WHERE from_url = ?
+  `).run(candidate.to_url, candidate.percent, candidate.score_details, rank, candidate.strategy, fromUrl);
+  
+  return result.changes > 0;
+}
+
 /**
  * Получение редиректов с минимальным процентом соответствия
+ * Для редиректов запасных стратегий (родительская категория, категория похожих товаров, поиск)
+ * можно задать отдельный порог: например, 0 выбирает и поиск по сайту, процент которого всегда 0.
+ * Принятые при ручной проверке редиректы выбираются всегда
  * @param {number} minPercent - минимальный процент соответствия
- * @returns {Array<{from_url: string, to_url: string, percent: number}>}
+ * @param {number|null} fallbackMinPercent - минимальный процент для запасных стратегий
+ * (по умолчанию null - тот же порог minPercent)
+ * @returns {Array<{from_url: string, to_url: string, percent: number, strategy: string,
+ * target_status: number|null, target_final_url: string|null}>}
+ */
+function getRedirectsByPercent(minPercent, fallbackMinPercent = null) {
+  return db.prepare(`
+    SELECT from_url, to_url, percent, strategy, target_status, target_final_url
+    FROM redirects
+    WHERE accepted = 1
+      OR percent >= CASE WHEN strategy IN ('ancestor', 'similar_products', 'search') THEN ? ELSE ? END
+    ORDER BY percent DESC
+  `).all(fallbackMinPercent ?? minPercent, minPercent);
+}
+
+/**
+ * Получение целевых URL редиректов для проверки
+ * @param {number|null} maxAgeHours - перепроверять результаты старше maxAgeHours часов,
+ * null - проверять все целевые URL
+ * @returns {Array<string>} уникальные целевые URL
+ */
+function getTargetsToValidate(maxAgeHours = null) {
+  if (maxAgeHours === null) {
+    return db.prepare('SELECT DISTINCT to_url FROM redirects').all().map(row => row.to_url);
+  }
+  return db.prepare(`
+    SELECT DISTINCT to_url FROM redirects
+    WHERE target_checked_at IS NULL OR target_checked_at < datetime('now', ?)
+  `).all(`-${maxAgeHours} hours`).map(row => row.to_url);
+}
+
+/**
+ * Сохранение результата проверки целевого URL для всех редиректов на него
+ * @param {string} toUrl - целевой URL
+ * @param {number|null} status - HTTP статус код (null - не удалось получить ответ)
+ * @param {string|null} finalUrl - финальный URL, если целевая страница сама редиректит
+ */
+function updateTargetStatus(toUrl, status, finalUrl = null) {
+  db.prepare(`
+    UPDATE redirects SET target_status = ?, target_final_url = ?, target_checked_at = datetime('now')
+    WHERE to_url = ?
+  `).run(status, finalUrl, toUrl);
+}
+
+/**
+ * Добавление существующих редиректов сайта (источники из CSV обхода)
+ * Уже известные источники не изменяются
+ * @param {Array<{url: string, csvStatus: number}>} sources - URL и статус редиректа из CSV
+ * @returns {number} количество новых источников
+ */
+function insertSiteRedirectSources(sources) {
+  const insert = db.prepare('INSERT OR IGNORE INTO site_redirects (from_url, csv_status) VALUES (?, ?)');
+  let inserted = 0;
+  const insertMany = db.transaction((sources) => {
+    for (const source of sources) {
+      inserted += insert.run(source.url, source.csvStatus).changes;
+    }
+  });
+  
+  insertMany(sources);
+  return inserted;
+}
+
+/**
+ * Получение существующих редиректов сайта, цель которых неизвестна или устарела
+ * @param {number|null} maxAgeHours - срок актуальности в часах, null - все редиректы
+ * @returns {Array<string>} исходные URL
+ */
+function getSiteRedirectsToCheck(maxAgeHours = null) {
+  if (maxAgeHours === null) {
+    return db.prepare('SELECT from_url FROM site_redirects').all().map(row => row.from_url);
+  }
+  return db.prepare(`
+    SELECT from_url FROM site_redirects
+    WHERE checked_at IS NULL OR checked_at < datetime('now', ?)
+  `).all(`-${maxAgeHours} hours`).map(row => row.from_url);
+}
+
+/**
+ * Сохранение цели существующего редиректа сайта
+ * @param {string} fromUrl - исходный URL
+ * @param {string|null} toUrl - финальный URL (null - страница больше не редиректит)
+ * @param {number|null} status - HTTP статус финальной страницы
+ */
+function updateSiteRedirect(fromUrl, toUrl, status) {
+  db.prepare(`
+    UPDATE site_redirects SET to_url = ?, status = ?, checked_at = datetime('now')
+    WHERE from_url = ?
+  `).run(toUrl, status, fromUrl);
+}
+
+/**
+ * Получение существующих редиректов сайта с известной целью
+ * @returns {Array<{from_url: string, to_url: string, status: number|null}>}
+ */
+function getSiteRedirects() {
+  return db.prepare('SELECT from_url, to_url, status FROM site_redirects WHERE to_url IS NOT NULL').all();
+}
+
+/**
+ * Регистрация нового запуска
+ * @param {string} mode - режим запуска ('full' или 'incremental')
+ * @param {Object<string, string|null>} inputHashes - хэши входных файлов: имя файла -> sha1
+ * @param {string|null} resumeKey - хэш входных данных проверки статусов (по нему продолжается прерванный запуск)
+ * @returns {number} id запуска
+ */
+function startRun(mode, inputHashes, resumeKey = null) {
+  const result = db.prepare('INSERT INTO runs (mode, input_hashes, resume_key) VALUES (?, ?, ?)')
+    .run(mode, JSON.stringify(inputHashes), resumeKey);
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * Завершение запуска: сохранение итогов и снимка редиректов
+ * В снимок попадают все редиректы на момент завершения, в том числе сохраненные с прошлых запусков
+ * @param {number} runId - id запуска
+ * @param {{referenceCounts: Object, settings: Object, stats: Object}} summary - размеры справочников,
+ * настройки (пороги) и статистика обработки
+ */
+function finishRun(runId, summary) {
+  const finish = db.transaction(() => {
+    db.prepare(`
+      UPDATE runs SET status = 'finished', finished_at = datetime('now'),
+        reference_counts = ?, settings = ?, stats = ?
+      WHERE id = ?
+    `).run(
+      JSON.stringify(summary.referenceCounts),
+      JSON.stringify(summary.settings),
+      JSON.stringify(summary.stats),
+      runId
+    );
+    db.prepare(`
+      INSERT OR REPLACE INTO run_redirects (run_id, from_url, to_url, percent, strategy)
+      SELECT ?, from_url, to_url, percent, strategy FROM redirects
+    `).run(runId);
+  });
+  
+  finish();
+}
+
+/**
+ * Отметка запуска как завершенного с ошибкой
+ * @param {number} runId - id запуска
+ * @param {string} message - текст ошибки
+ */
+function failRun(runId, message) {
+  db.prepare(`
+    UPDATE runs SET status = 'failed', finished_at = datetime('now'), error = ?
+    WHERE id = ?
+  `).run(message, runId);
+}
+
+/**
+ * Получение запусков (JSON поля разобраны)
+ * @param {number|null} runId - id запуска, null - все запуски
+ * @returns {Array<Object>} запуски по возрастанию id
+ */
+function getRuns(runId = null) {
+  const rows = runId === null
+    ? db.prepare('SELECT * FROM runs ORDER BY id').all()
+    : db.prepare('SELECT * FROM runs WHERE id = ?').all(runId);
+  
+  return rows.map(row => ({
+    ...row,
+    input_hashes: row.input_hashes ? JSON.parse(row.input_hashes) : null,
+    reference_counts: row.reference_counts ? JSON.parse(row.reference_counts) : null,
+    settings: row.settings ? JSON.parse(row.settings) : null,
+    stats: row.stats ? JSON.parse(row.stats) : null
+  }));
+}
+
+/**
+ * Получение снимка редиректов запуска
+ * @param {number} runId - id запуска
+ * @returns {Array<{from_url: string, to_url: string, percent: number, strategy: string}>}
  */
-function getRedirectsByPercent(minPercent) {
-  return db.prepare('SELECT from_url, to_url, percent FROM redirects WHERE percent >= ? ORDER BY percent DESC').all(minPercent);
+function getRunRedirects(runId) {
+  return db.prepare(`
+    SELECT from_url, to_url, percent, strategy
+    FROM run_redirects
+    WHERE run_id = ?
+    ORDER BY from_url
+  `).all(runId);
 }
 
 module.exports = {
   initDatabase,
   closeDatabase,
+  clearTables,
+  runInTransaction,
   createAllTables,
   insertErrors,
+  getErrorSources,
   updateErrorStatus,
+  saveRedirectChain,
+  getRedirectChain,
+  getUrlsToCheck,
+  getUrlsNotCheckedSince,
+  getCachedCheck,
+  saveCachedCheck,
   insertProducts,
   insertCatalog,
+  insertReferenceCodes,
   getAllErrors,
   getErrorsByStatus,
   getAllProducts,
   getAllCatalog,
+  getReferenceCodes,
+  recordReferenceHistory,
+  recordHistoryCodes,
+  getRecordedSnapshots,
+  markSnapshotRecorded,
+  isReferenceDiffImported,
+  markReferenceDiffImported,
+  getRenamedCode,
   insertRedirect,
   insertRedirects,
-  getRedirectsByPercent
+  getRedirectStates,
+  deleteInactiveRedirects,
+  getRedirectCandidates,
+  promoteCandidate,
+  getRedirectsByPercent,
+  getTargetsToValidate,
+  updateTargetStatus,
+  insertSiteRedirectSources,
+  getSiteRedirectsToCheck,
+  updateSiteRedirect,
+  getSiteRedirects,
+  startRun,
+  finishRun,
+  failRun,
+  getRuns,
+  getRunRedirects
 };
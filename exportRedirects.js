@@ -2,7 +2,9 @@ require('dotenv').config();
 const readline = require('readline');
 const fs = require('fs');
 const path = require('path');
-const { initDatabase, closeDatabase, getRedirectsByPercent } = require('./db');
+const config = require('./config');
+const { initDatabase, closeDatabase, getRedirectsByPercent, getSiteRedirects } = require('./db');
+const { analyzeRedirectGraph, printGraphReport } = require('./redirectGraph');
 
 /**
  * Функция для запроса пользовательского ввода
@@ -30,21 +32,53 @@ function askQuestion(question) {
 
 /**
  * Основная функция
+ * Перед выгрузкой цепочки редиректов выпрямляются, циклы разрываются (см. redirectGraph.js).
+ * Редиректы, финальный целевой URL которых не проверен или не отвечает 200, не выгружаются.
+ * Аргумент --allow-invalid-targets выгружает их с предупреждением
  */
 async function main() {
+  const allowInvalidTargets = process.argv.slice(2).includes('--allow-invalid-targets');
+  
   try {
     // Запрашиваем минимальный процент
     const minPercent = await askQuestion('Укажите минимальный процент для выборки (0-100): ');
     
-    console.log(`\nПоиск редиректов с процентом >= ${minPercent}%...`);
+    const { fallbackMinPercent } = config.export;
+    console.log(`\nПоиск редиректов с процентом >= ${minPercent}%` +
+      (fallbackMinPercent !== null ? ` (запасные стратегии - >= ${fallbackMinPercent}%)` : '') + '...');
     
     // Инициализация БД
     initDatabase();
     
     // Получаем редиректы
-    const redirects = getRedirectsByPercent(minPercent);
+    const selected = getRedirectsByPercent(minPercent, fallbackMinPercent);
     
-    console.log(`Найдено ${redirects.length} редиректов`);
+    console.log(`Найдено ${selected.length} редиректов`);
+    
+    // Анализ графа вместе с существующими редиректами сайта: цепочки, циклы, from == to, конфликты
+    const analysis = analyzeRedirectGraph(selected, getSiteRedirects());
+    printGraphReport(analysis);
+    
+    // Редиректы на непроверенные, недоступные или редиректящие страницы
+    const invalid = analysis.redirects.filter(redirect => !redirect.live);
+    let redirects = analysis.redirects;
+    if (invalid.length > 0) {
+      console.log(`\n⚠ Целевой URL не проверен или не отвечает 200: ${invalid.length} редиректов`);
+      for (const redirect of invalid.slice(0, 20)) {
+        const status = redirect.target_status === null ? 'не проверен' : `статус ${redirect.target_status}`;
+        console.log(`  ${redirect.from_url} -> ${redirect.to_url} (${status})`);
+      }
+      if (invalid.length > 20) {
+        console.log(`  ... и еще ${invalid.length - 20}`);
+      }
+      
+      if (allowInvalidTargets) {
+        console.log('  Выгружаются, так как указан --allow-invalid-targets');
+      } else {
+        redirects = analysis.redirects.filter(redirect => redirect.live);
+        console.log('  Не выгружаются. Проверьте цели командой npm run validate или укажите --allow-invalid-targets');
+      }
+    }
     
     if (redirects.length === 0) {
       console.log('Нет редиректов, соответствующих заданному критерию');
@@ -55,7 +89,7 @@ async function main() {
     // Получаем BASE_URL из переменных окружения
     const baseUrl = process.env.BASE_URL || 'https://frizar.ru';
     
-    // Формируем массив объектов [{from, to, precent}, ...]
+    // Формируем массив объектов [{from, to, precent, strategy}, ...]
     const result = [];
     for (const redirect of redirects) {
       // Извлекаем путь из полного URL
@@ -72,7 +106,8 @@ async function main() {
       result.push({
         from: fromUrl,
         to: toUrl,
-        precent: precent
+        precent: precent,
+        strategy: redirect.strategy
       });
     }
     
@@ -98,6 +133,17 @@ async function main() {
         console.log(`  ${range}: ${percentStats[range]} записей`);
       });
     
+    // Показываем статистику по стратегиям подбора
+    const strategyStats = {};
+    for (const redirect of redirects) {
+      strategyStats[redirect.strategy] = (strategyStats[redirect.strategy] || 0) + 1;
+    }
+    
+    console.log('\nРаспределение по стратегиям:');
+    Object.keys(strategyStats).forEach(strategy => {
+      console.log(`  ${strategy}: ${strategyStats[strategy]} записей`);
+    });
+    
   } catch (error) {
     console.error('Ошибка:', error);
     process.exit(1);
@@ -1,19 +1,107 @@
 const levenshtein = require('fast-levenshtein');
 
+// Минимальная степень совпадения двух токенов, ниже которой токены считаются разными
+const MIN_TOKEN_SIMILARITY = 0.7;
+
+// Размер n-граммы для индекса кандидатов
+const NGRAM_SIZE = 3;
+const NGRAM_START = '\u0002';
+const NGRAM_END = '\u0003';
+
+// Индексы кандидатов, построенные для массивов кодов (строятся один раз на массив)
+const candidateIndexCache = new WeakMap();
+
+/**
+ * Классы транслитерационной эквивалентности
+ * Все варианты написания внутри класса приводятся к первому (каноническому) варианту.
+ * Классы из одного варианта ('ch', 'sh', 'zh') защищают диграфы от замены их частей
+ */
+const DEFAULT_TRANSLITERATION_CLASSES = [
+  ['shch', 'sch', 'shh'],
+  ['ch'],
+  ['sh'],
+  ['zh'],
+  ['kh', 'h', 'x'],
+  ['ts', 'tz', 'c'],
+  ['ya', 'ia', 'ja'],
+  ['yu', 'iu', 'ju'],
+  ['e', 'yo', 'jo'],
+  ['y', 'iy', 'yy', 'ij', 'yj', 'j']
+];
+
+// Разделитель размеров между цифрами: 250x250, 250kh250, 250х250 (кириллица), 250*250
+const DIMENSION_SEPARATOR = /(?<=\d)\s*(?:kh|x|х|×|\*)\s*(?=\d)/g;
+const DIMENSION_MARK = '×';
+
+// Транслитерация кириллицы для сравнения названий со slug (см. slugify)
+const CYRILLIC_TO_LATIN = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'yo', ж: 'zh', з: 'z', и: 'i', й: 'y',
+  к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+  х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya'
+};
+
+let transliteration = compileTransliteration(DEFAULT_TRANSLITERATION_CLASSES);
+
+/**
+ * Подготовка регулярного выражения и таблицы замен для классов транслитерации
+ * @param {Array<Array<string>>} classes - классы эквивалентности
+ * @returns {{pattern: RegExp|null, replacements: Map<string, string>}}
+ */
+function compileTransliteration(classes) {
+  const replacements = new Map();
+  
+  for (const variants of classes) {
+    if (!Array.isArray(variants) || variants.length === 0) {
+      throw new Error('Класс транслитерации должен быть непустым массивом строк');
+    }
+    
+    const canonical = variants[0].toLowerCase();
+    for (const variant of variants) {
+      replacements.set(variant.toLowerCase(), canonical);
+    }
+  }
+  
+  // Более длинные варианты проверяются первыми: 'shch' раньше 'sch', 'kh' раньше 'h'
+  const alternatives = [...replacements.keys()]
+    .filter(variant => variant.length > 0)
+    .sort((a, b) => b.length - a.length)
+    .map(variant => variant.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  
+  return {
+    pattern: alternatives.length > 0 ? new RegExp(alternatives.join('|'), 'g') : null,
+    replacements
+  };
+}
+
+/**
+ * Замена классов транслитерации (например, из файла настроек)
+ * Индексы кандидатов, построенные до вызова, остаются с прежней нормализацией
+ * @param {Array<Array<string>>} classes - классы эквивалентности, первый вариант в классе - канонический
+ */
+function setTransliterationClasses(classes) {
+  transliteration = compileTransliteration(classes);
+}
+
 /**
  * Нормализация строки для сравнения
- * - Удаление символов "x" и "kh" (регистронезависимо)
  * - Приведение к нижнему регистру
+ * - "x" (или "kh", "х", "*") между цифрами считается разделителем размеров и заменяется на "×"
+ * - Варианты транслитерации приводятся к каноническому написанию (kh/h/x, ts/tz/c, yo/e и т.д.)
  * @param {string} str - исходная строка
  * @returns {string} нормализованная строка
  */
 function normalizeString(str) {
   if (!str) return '';
   
-  return str
+  const result = str
     .toLowerCase()
-    .replace(/x/gi, '')
-    .replace(/kh/gi, '');
+    .replace(DIMENSION_SEPARATOR, DIMENSION_MARK);
+  
+  if (!transliteration.pattern) {
+    return result;
+  }
+  
+  return result.replace(transliteration.pattern, variant => transliteration.replacements.get(variant));
 }
 
 /**
@@ -25,65 +113,636 @@ function normalizeString(str) {
 function calculateSimilarity(str1, str2) {
   if (!str1 || !str2) return 0;
   
-  const normalized1 = normalizeString(str1);
-  const normalized2 = normalizeString(str2);
-  
+  return similarityFromDistance(normalizeString(str1), normalizeString(str2));
+}
+
+/**
+ * Процент соответствия уже нормализованных строк
+ * @param {string} normalized1 - первая нормализованная строка
+ * @param {string} normalized2 - вторая нормализованная строка
+ * @returns {number} процент соответствия (0-100)
+ */
+function similarityFromDistance(normalized1, normalized2) {
   if (normalized1 === normalized2) return 100;
   
   const maxLength = Math.max(normalized1.length, normalized2.length);
   if (maxLength === 0) return 100;
   
-  const distance = levenshtein.get(normalized1, normalized2);
+  return percentFromDistance(levenshtein.get(normalized1, normalized2), maxLength);
+}
+
+/**
+ * Перевод расстояния Левенштейна в процент соответствия
+ * @param {number} distance - расстояние
+ * @param {number} maxLength - длина более длинной строки
+ * @returns {number} процент соответствия (0-100)
+ */
+function percentFromDistance(distance, maxLength) {
   const percent = (1 - distance / maxLength) * 100;
   
   return Math.max(0, Math.min(100, percent));
 }
 
+/**
+ * Разбиение slug на токены по разделителям "_" и "-"
+ * @param {string} str - исходная строка
+ * @returns {Array<string>} массив нормализованных токенов
+ */
+function tokenize(str) {
+  if (!str) return [];
+  
+  return normalizeString(str)
+    .split(/[_-]+/)
+    .filter(token => token.length > 0);
+}
+
+/**
+ * Транслитерация кириллицы в slug (как в адресах страниц сайта)
+ * Названия справочника сравниваются со slug из URL после транслитерации: 'Метчик М12х1' -> 'metchik_m12kh1'
+ * @param {string} str - исходная строка (название)
+ * @returns {string} slug: латиница, цифры и "_"
+ */
+function slugify(str) {
+  if (!str) return '';
+  
+  return [...str.toLowerCase()]
+    .map(char => CYRILLIC_TO_LATIN[char] ?? char)
+    .join('')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Расчет весов токенов по редкости (IDF) в справочниках
+ * Чем реже токен встречается в кодах, тем больше его вес
+ * @param {...Array<{code: string}>} codeLists - массивы объектов с полем code (products, catalog)
+ * @returns {{weights: Map<string, number>, defaultWeight: number}} веса токенов и вес неизвестного токена
+ */
+function buildTokenWeights(...codeLists) {
+  const documentFrequency = new Map();
+  let totalDocuments = 0;
+  
+  for (const codes of codeLists) {
+    for (const item of codes || []) {
+      if (!item.code) continue;
+      
+      totalDocuments++;
+      for (const token of new Set(tokenize(item.code))) {
+        documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+      }
+    }
+  }
+  
+  const weights = new Map();
+  for (const [token, frequency] of documentFrequency) {
+    weights.set(token, Math.log(1 + totalDocuments / frequency));
+  }
+  
+  return {
+    weights,
+    // Токен, которого нет в справочниках, считаем самым редким
+    defaultWeight: Math.log(1 + Math.max(totalDocuments, 1))
+  };
+}
+
+/**
+ * Получение веса токена
+ * @param {string} token - токен
+ * @param {{weights: Map<string, number>, defaultWeight: number}|null} tokenWeights - веса токенов
+ * @returns {number} вес токена
+ */
+function getTokenWeight(token, tokenWeights) {
+  if (!tokenWeights) return 1;
+  
+  const weight = tokenWeights.weights.get(token);
+  return weight === undefined ? tokenWeights.defaultWeight : weight;
+}
+
+/**
+ * Степень совпадения токена с наиболее похожим токеном из списка (0-1)
+ * Совпадения ниже MIN_TOKEN_SIMILARITY не учитываются
+ * @param {string} token - токен
+ * @param {Array<string>} candidates - токены другой строки
+ * @returns {number} степень совпадения
+ */
+function bestTokenSimilarity(token, candidates) {
+  let best = 0;
+  
+  for (const candidate of candidates) {
+    if (candidate === token) return 1;
+    
+    const maxLength = Math.max(token.length, candidate.length);
+    const similarity = 1 - levenshtein.get(token, candidate) / maxLength;
+    if (similarity > best) {
+      best = similarity;
+    }
+  }
+  
+  return best >= MIN_TOKEN_SIMILARITY ? best : 0;
+}
+
+/**
+ * Расчет процента соответствия по токенам
+ * Учитывает пересечение множеств токенов независимо от их порядка,
+ * вес токена (редкость в справочниках) и расстояние Левенштейна между токенами
+ * @param {string} str1 - первая строка
+ * @param {string} str2 - вторая строка
+ * @param {{weights: Map<string, number>, defaultWeight: number}|null} tokenWeights - веса токенов (опционально)
+ * @returns {number} процент соответствия (0-100)
+ */
+function calculateTokenSimilarity(str1, str2, tokenWeights = null) {
+  if (!str1 || !str2) return 0;
+  
+  const tokens1 = tokenize(str1);
+  const tokens2 = tokenize(str2);
+  
+  if (tokens1.length === 0 || tokens2.length === 0) return 0;
+  
+  let matchedWeight = 0;
+  let totalWeight = 0;
+  
+  for (const token of tokens1) {
+    const weight = getTokenWeight(token, tokenWeights);
+    matchedWeight += weight * bestTokenSimilarity(token, tokens2);
+    totalWeight += weight;
+  }
+  
+  for (const token of tokens2) {
+    const weight = getTokenWeight(token, tokenWeights);
+    matchedWeight += weight * bestTokenSimilarity(token, tokens1);
+    totalWeight += weight;
+  }
+  
+  if (totalWeight === 0) return 0;
+  
+  const percent = (matchedWeight / totalWeight) * 100;
+  
+  return Math.max(0, Math.min(100, percent));
+}
+
+/**
+ * Настройки проверки чисел и артикулов по умолчанию
+ * mode: 'off' - не проверять, 'penalize' - штрафовать за несовпадения, 'reject' - отклонять при любом несовпадении
+ */
+const DEFAULT_NUMERIC_OPTIONS = {
+  mode: 'off',
+  numberPenalty: 0.6,
+  articlePenalty: 0.3
+};
+
+/**
+ * Извлечение чисел и артикулов из slug
+ * - числа: токены, содержащие цифры (размеры, допуски, стандарты: 250×250mm, 0, 05, din338)
+ * - артикулы: цепочки из двух и более числовых токенов с необязательной буквой в конце (8301_0009_a)
+ *   и отдельные токены с четырьмя и более цифрами подряд (td844536)
+ * @param {string} str - исходная строка
+ * @returns {{numbers: Array<string>, articles: Array<string>}}
+ */
+function extractNumericTokens(str) {
+  const tokens = tokenize(str);
+  const numbers = tokens.filter(token => /\d/.test(token));
+  const articles = [];
+  
+  let i = 0;
+  while (i < tokens.length) {
+    let end = i;
+    while (end < tokens.length && /^\d+$/.test(tokens[end])) {
+      end++;
+    }
+    
+    if (end - i >= 2) {
+      const parts = tokens.slice(i, end);
+      if (end < tokens.length && /^[a-z]$/.test(tokens[end])) {
+        parts.push(tokens[end]);
+        end++;
+      }
+      articles.push(parts.join('_'));
+      i = end;
+      continue;
+    }
+    
+    if (/\d{4,}/.test(tokens[i])) {
+      articles.push(tokens[i]);
+    }
+    i++;
+  }
+  
+  return { numbers, articles };
+}
+
+/**
+ * Сравнение двух мультимножеств токенов
+ * @param {Array<string>} expected - токены искомой строки
+ * @param {Array<string>} actual - токены кандидата
+ * @returns {{matched: Array<string>, missing: Array<string>, extra: Array<string>}}
+ */
+function compareTokenSets(expected, actual) {
+  const remaining = [...actual];
+  const matched = [];
+  const missing = [];
+  
+  for (const token of expected) {
+    const position = remaining.indexOf(token);
+    if (position === -1) {
+      missing.push(token);
+    } else {
+      matched.push(token);
+      remaining.splice(position, 1);
+    }
+  }
+  
+  return { matched, missing, extra: remaining };
+}
+
+/**
+ * Проверка чисел и артикулов кандидата
+ * Замена одного числа на другое считается одним несовпадением (max(missing, extra))
+ * @param {{numbers: Array<string>, articles: Array<string>}} expected - числа и артикулы искомой строки
+ * @param {string} code - код кандидата
+ * @param {Object} numericOptions - настройки (см. DEFAULT_NUMERIC_OPTIONS)
+ * @returns {{numbers: Object, articles: Object, penalty: number, rejected: boolean}}
+ */
+function checkNumericTokens(expected, code, numericOptions) {
+  const actual = extractNumericTokens(code);
+  const numbers = compareTokenSets(expected.numbers, actual.numbers);
+  const articles = compareTokenSets(expected.articles, actual.articles);
+  
+  const numberMismatches = Math.max(numbers.missing.length, numbers.extra.length);
+  const articleMismatches = Math.max(articles.missing.length, articles.extra.length);
+  const rejected = numericOptions.mode === 'reject' && numberMismatches + articleMismatches > 0;
+  
+  const penalty = rejected
+    ? 0
+    : Math.pow(numericOptions.numberPenalty, numberMismatches) * Math.pow(numericOptions.articlePenalty, articleMismatches);
+  
+  return { numbers, articles, penalty, rejected };
+}
+
+/**
+ * Подготовка функции итоговой оценки кандидата: базовый процент алгоритма сравнения
+ * с учетом штрафов за несовпадение чисел и артикулов
+ * @param {string} searchCode - код для поиска
+ * @param {Object} options - опции поиска (см. findBestMatch)
+ * @returns {Function} (code, basePercent) => {percent: number, details: Object}
+ */
+function createCandidateScorer(searchCode, options) {
+  const scorerName = options.scorer || 'levenshtein';
+  const numericOptions = { ...DEFAULT_NUMERIC_OPTIONS, ...options.numeric };
+  const expected = numericOptions.mode === 'off' ? null : extractNumericTokens(searchCode);
+  
+  return (code, basePercent) => {
+    const details = { scorer: scorerName, base: basePercent };
+    if (!expected) {
+      return { percent: basePercent, details };
+    }
+    
+    const numeric = checkNumericTokens(expected, code, numericOptions);
+    details.numbers = numeric.numbers;
+    details.articles = numeric.articles;
+    details.penalty = numeric.penalty;
+    details.rejected = numeric.rejected;
+    
+    return { percent: basePercent * numeric.penalty, details };
+  };
+}
+
+/**
+ * Алгоритмы сравнения, доступные через options.scorer
+ */
+const SCORERS = {
+  levenshtein: (str1, str2) => calculateSimilarity(str1, str2),
+  token: (str1, str2, options) => calculateTokenSimilarity(str1, str2, options.tokenWeights)
+};
+
+/**
+ * Получение функции сравнения по имени
+ * @param {string} name - имя алгоритма ('levenshtein' или 'token')
+ * @returns {Function} функция сравнения (str1, str2, options) => percent
+ */
+function getScorer(name = 'levenshtein') {
+  const scorer = SCORERS[name];
+  if (!scorer) {
+    throw new Error(`Неизвестный алгоритм сравнения: ${name}. Доступны: ${Object.keys(SCORERS).join(', ')}`);
+  }
+  return scorer;
+}
+
+/**
+ * Список лучших кандидатов ограниченного размера
+ * Порядок: процент по убыванию, при равных процентах - позиция в массиве кодов по возрастанию
+ * (как при полном переборе, где из равных остается первый)
+ * @param {number} limit - максимальное количество кандидатов
+ * @returns {Object} список с методами add(position, percent, details), threshold() и items
+ */
+function createTopList(limit) {
+  const items = [];
+  
+  const isBetter = (percent, position, other) =>
+    percent > other.percent || (percent === other.percent && position < other.position);
+  
+  return {
+    items,
+    // Минимальный процент, который еще может попасть в список
+    threshold() {
+      return items.length < limit ? 0 : items[items.length - 1].percent;
+    },
+    add(position, percent, details) {
+      if (percent <= 0) return;
+      if (items.length === limit && !isBetter(percent, position, items[items.length - 1])) return;
+      
+      let insertAt = items.length;
+      while (insertAt > 0 && isBetter(percent, position, items[insertAt - 1])) {
+        insertAt--;
+      }
+      items.splice(insertAt, 0, { position, percent, details });
+      
+      if (items.length > limit) {
+        items.pop();
+      }
+    }
+  };
+}
+
+/**
+ * Преобразование списка кандидатов в результат поиска
+ * @param {Object} top - список кандидатов (см. createTopList)
+ * @param {Array<{code: string}>} codes - массив объектов с полем code
+ * @returns {Array<{code: string, percent: number, details: Object}>}
+ */
+function toMatches(top, codes) {
+  return top.items.map(item => ({
+    code: codes[item.position].code,
+    percent: item.percent,
+    details: item.details
+  }));
+}
+
+/**
+ * Поиск нескольких лучших соответствий в массиве кодов (полный перебор)
+ * @param {string} searchCode - код для поиска
+ * @param {Array<{code: string}>} codes - массив объектов с полем code
+ * @param {Object} options - опции поиска (см. findBestMatch)
+ * @param {number} options.limit - количество кандидатов (по умолчанию 5)
+ * @returns {Array<{code: string, percent: number, details: Object}>} кандидаты по убыванию процента
+ */
+function findTopMatches(searchCode, codes, options = {}) {
+  if (!searchCode || !codes || codes.length === 0) {
+    return [];
+  }
+  
+  const scorer = getScorer(options.scorer);
+  const scoreCandidate = createCandidateScorer(searchCode, options);
+  const top = createTopList(options.limit || 5);
+  
+  codes.forEach((item, position) => {
+    if (!item.code) return;
+    
+    const { percent, details } = scoreCandidate(item.code, scorer(searchCode, item.code, options));
+    top.add(position, percent, details);
+  });
+  
+  return toMatches(top, codes);
+}
+
 /**
  * Поиск лучшего соответствия в массиве кодов
  * @param {string} searchCode - код для поиска
  * @param {Array<{code: string}>} codes - массив объектов с полем code
- * @returns {{code: string, percent: number}|null} лучший результат или null
+ * @param {Object} options - опции поиска
+ * @param {string} options.scorer - алгоритм сравнения: 'levenshtein' (по умолчанию) или 'token'
+ * @param {{weights: Map<string, number>, defaultWeight: number}} options.tokenWeights - веса токенов для 'token' (см. buildTokenWeights)
+ * @param {Object} options.numeric - проверка чисел и артикулов {mode, numberPenalty, articlePenalty} (см. DEFAULT_NUMERIC_OPTIONS)
+ * @returns {{code: string, percent: number, details: Object}|null} лучший результат с разбором оценки или null
  */
-function findBestMatch(searchCode, codes) {
+function findBestMatch(searchCode, codes, options = {}) {
+  return findTopMatches(searchCode, codes, { ...options, limit: 1 })[0] || null;
+}
+
+/**
+ * Подсчет n-грамм строки (с дополнением начала и конца)
+ * @param {string} str - нормализованная строка
+ * @returns {Map<string, number>} n-грамма -> количество вхождений
+ */
+function countNgrams(str) {
+  const padded = NGRAM_START.repeat(NGRAM_SIZE - 1) + str + NGRAM_END.repeat(NGRAM_SIZE - 1);
+  const grams = new Map();
+  
+  for (let i = 0; i + NGRAM_SIZE <= padded.length; i++) {
+    const gram = padded.slice(i, i + NGRAM_SIZE);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  
+  return grams;
+}
+
+/**
+ * Построение индекса кандидатов: инвертированный индекс по символьным n-граммам
+ * нормализованных кодов и группировка кодов по длине
+ * @param {Array<{code: string}>} codes - массив объектов с полем code
+ * @returns {Object} индекс кандидатов
+ */
+function createCandidateIndex(codes) {
+  const normalized = [];
+  const postings = new Map();
+  const byLength = new Map();
+  
+  codes.forEach((item, position) => {
+    if (!item.code) {
+      normalized.push(null);
+      return;
+    }
+    
+    const str = normalizeString(item.code);
+    normalized.push(str);
+    
+    for (const [gram, count] of countNgrams(str)) {
+      let posting = postings.get(gram);
+      if (!posting) {
+        posting = { positions: [], counts: [] };
+        postings.set(gram, posting);
+      }
+      posting.positions.push(position);
+      posting.counts.push(count);
+    }
+    
+    if (!byLength.has(str.length)) {
+      byLength.set(str.length, []);
+    }
+    byLength.get(str.length).push(position);
+  });
+  
+  return { codes, normalized, postings, byLength };
+}
+
+/**
+ * Получение индекса для массива кодов (из кеша или построение нового)
+ * @param {Array<{code: string}>} codes - массив объектов с полем code
+ * @returns {Object} индекс кандидатов
+ */
+function getCandidateIndex(codes) {
+  let index = candidateIndexCache.get(codes);
+  if (!index) {
+    index = createCandidateIndex(codes);
+    candidateIndexCache.set(codes, index);
+  }
+  return index;
+}
+
+/**
+ * Верхняя граница процента соответствия по числу общих n-грамм
+ * Каждая операция редактирования разрушает не более NGRAM_SIZE n-грамм, поэтому
+ * distance >= (max(grams1, grams2) - common) / NGRAM_SIZE, а также distance >= |length1 - length2|
+ * @param {number} length1 - длина первой нормализованной строки
+ * @param {number} length2 - длина второй нормализованной строки
+ * @param {number} common - число общих n-грамм
+ * @returns {number} максимально возможный процент соответствия
+ */
+function similarityUpperBound(length1, length2, common) {
+  const maxLength = Math.max(length1, length2);
+  if (maxLength === 0) return 100;
+  
+  const maxGrams = maxLength + NGRAM_SIZE - 1;
+  const minDistance = Math.max(
+    Math.ceil((maxGrams - common) / NGRAM_SIZE),
+    Math.abs(length1 - length2),
+    0
+  );
+  
+  return percentFromDistance(minDistance, maxLength);
+}
+
+/**
+ * Поиск нескольких лучших соответствий по индексу кандидатов
+ * По индексу n-грамм для каждого кода считается верхняя граница процента, точное сравнение
+ * выполняется только для кодов, граница которых не ниже худшего из уже найденных кандидатов.
+ * Результат совпадает с findTopMatches, включая порядок при равных процентах
+ * (штрафы за числа только уменьшают процент, поэтому граница остается верной).
+ * Индекс используется для алгоритма 'levenshtein', для остальных выполняется полный перебор.
+ * @param {string} searchCode - код для поиска
+ * @param {Array<{code: string}>} codes - массив объектов с полем code
+ * @param {Object} options - опции поиска (см. findTopMatches)
+ * @returns {Array<{code: string, percent: number, details: Object}>} кандидаты по убыванию процента
+ */
+function findTopMatchesOptimized(searchCode, codes, options = {}) {
   if (!searchCode || !codes || codes.length === 0) {
-    return null;
+    return [];
+  }
+  
+  if ((options.scorer || 'levenshtein') !== 'levenshtein') {
+    return findTopMatches(searchCode, codes, options);
+  }
+  
+  const limit = options.limit || 5;
+  const index = getCandidateIndex(codes);
+  const query = normalizeString(searchCode);
+  const scoreCandidate = createCandidateScorer(searchCode, options);
+  const top = createTopList(limit);
+  
+  // Число общих n-грамм с каждым кодом
+  const common = new Int32Array(codes.length);
+  const touched = [];
+  for (const [gram, queryCount] of countNgrams(query)) {
+    const posting = index.postings.get(gram);
+    if (!posting) continue;
+    
+    for (let i = 0; i < posting.positions.length; i++) {
+      const position = posting.positions[i];
+      if (common[position] === 0) {
+        touched.push(position);
+      }
+      common[position] += Math.min(queryCount, posting.counts[i]);
+    }
+  }
+  
+  // Кандидаты: коды с общими n-граммами по отдельности,
+  // коды без общих n-грамм - группами по длине (граница зависит только от длины)
+  const candidates = [];
+  for (const position of touched) {
+    candidates.push({
+      bound: similarityUpperBound(query.length, index.normalized[position].length, common[position]),
+      position
+    });
+  }
+  for (const [length, positions] of index.byLength) {
+    candidates.push({
+      bound: similarityUpperBound(query.length, length, 0),
+      positions
+    });
   }
   
-  let bestMatch = null;
-  let bestPercent = 0;
+  const evaluate = (position) => {
+    const basePercent = similarityFromDistance(query, index.normalized[position]);
+    if (basePercent < top.threshold()) return;
+    
+    const { percent, details } = scoreCandidate(codes[position].code, basePercent);
+    top.add(position, percent, details);
+  };
   
-  for (const item of codes) {
-    if (!item.code) continue;
+  // Сначала проверяем коды с наибольшими границами, чтобы сразу отсечь большую часть остальных
+  const evaluated = new Set();
+  for (let k = 0; k < limit; k++) {
+    let best = null;
+    for (const candidate of candidates) {
+      if (candidate.position !== undefined && !evaluated.has(candidate) && (!best || candidate.bound > best.bound)) {
+        best = candidate;
+      }
+    }
+    if (!best) break;
     
-    const percent = calculateSimilarity(searchCode, item.code);
+    evaluated.add(best);
+    evaluate(best.position);
+  }
+  
+  const remaining = candidates
+    .filter(candidate => !evaluated.has(candidate) && candidate.bound > 0 && candidate.bound >= top.threshold())
+    .sort((a, b) => b.bound - a.bound);
+  
+  for (const candidate of remaining) {
+    if (candidate.bound < top.threshold()) break;
+    
+    if (candidate.position !== undefined) {
+      evaluate(candidate.position);
+      continue;
+    }
     
-    if (percent > bestPercent) {
-      bestPercent = percent;
-      bestMatch = {
-        code: item.code,
-        percent: percent
-      };
+    for (const position of candidate.positions) {
+      // Коды с общими n-граммами уже проверены по отдельности
+      if (common[position] === 0) {
+        evaluate(position);
+      }
     }
   }
   
-  return bestMatch;
+  return toMatches(top, codes);
 }
 
 /**
  * Поиск лучшего соответствия в массиве кодов (синхронная версия для больших массивов)
- * Оптимизирована для работы с большими объемами данных
+ * Оптимизирована для работы с большими объемами данных: использует индекс кандидатов
+ * (см. findTopMatchesOptimized), результат совпадает с findBestMatch
  * @param {string} searchCode - код для поиска
  * @param {Array<{code: string}>} codes - массив объектов с полем code
- * @returns {{code: string, percent: number}|null} лучший результат или null
+ * @param {Object} options - опции поиска (см. findBestMatch)
+ * @returns {{code: string, percent: number, details: Object}|null} лучший результат с разбором оценки или null
  */
-function findBestMatchOptimized(searchCode, codes) {
-  return findBestMatch(searchCode, codes);
+function findBestMatchOptimized(searchCode, codes, options = {}) {
+  return findTopMatchesOptimized(searchCode, codes, { ...options, limit: 1 })[0] || null;
 }
 
 module.exports = {
+  DEFAULT_TRANSLITERATION_CLASSES,
+  setTransliterationClasses,
   normalizeString,
   calculateSimilarity,
+  tokenize,
+  slugify,
+  buildTokenWeights,
+  calculateTokenSimilarity,
+  extractNumericTokens,
+  getScorer,
+  findTopMatches,
   findBestMatch,
+  createCandidateIndex,
+  findTopMatchesOptimized,
   findBestMatchOptimized
 };
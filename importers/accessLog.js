@@ -0,0 +1,79 @@
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+const { normalizeUrl, toSqliteDate, addErrorRecord } = require('./normalize');
+
+// Строка access лога nginx в формате combined:
+// $remote_addr - $remote_user [$time_local] "$request" $status $body_bytes_sent "$http_referer" "$http_user_agent"
+const COMBINED_LINE = /^\S+ \S+ \S+ \[([^\]]+)\] "(\S+) (\S+)[^"]*" (\d{3}) /;
+
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+/**
+ * Разбор времени запроса nginx ($time_local)
+ * @param {string} value - время в формате '10/Oct/2026:13:55:36 +0300'
+ * @returns {string|null} время в формате datetime SQLite (UTC)
+ */
+function parseTimeLocal(value) {
+  const match = value.match(/^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2}) ([+-])(\d{2})(\d{2})$/);
+  if (!match || MONTHS[match[2]] === undefined) return null;
+
+  const [, day, month, year, hours, minutes, seconds, sign, offsetHours, offsetMinutes] = match;
+  const offset = (sign === '-' ? -1 : 1) * (parseInt(offsetHours, 10) * 60 + parseInt(offsetMinutes, 10));
+  const utc = Date.UTC(year, MONTHS[month], day, hours, minutes, seconds) - offset * 60 * 1000;
+  return toSqliteDate(new Date(utc));
+}
+
+/**
+ * Чтение access логов nginx (формат combined, файлы .gz распаковываются)
+ * Учитываются GET и HEAD запросы с указанными статусами; обращения к одному URL объединяются при чтении,
+ * поэтому память растет с количеством различных URL, а не строк лога
+ * @param {Array<string>} logFiles - пути к файлам логов
+ * @param {Object} options - опции импорта
+ * @param {string} options.host - хост сайта (в логе только путь)
+ * @param {Array<number>} options.statuses - статусы ответа, которые считаются ошибками
+ * @returns {Promise<Array<{url: string, source: string, hits: number, lastSeen: string|null, status: number}>>}
+ * URL с количеством обращений, временем последнего обращения и последним статусом
+ */
+async function readAccessLogs(logFiles, options) {
+  const { host, statuses } = options;
+  const merged = new Map();
+
+  for (const logFile of logFiles) {
+    let input = fs.createReadStream(logFile);
+    if (logFile.endsWith('.gz')) {
+      input = input.pipe(zlib.createGunzip());
+    }
+
+    let lines = 0;
+    let skipped = 0;
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      if (!line) continue;
+      lines++;
+
+      const match = line.match(COMBINED_LINE);
+      if (!match) {
+        skipped++;
+        continue;
+      }
+
+      const [, timeLocal, method, target, statusValue] = match;
+      const status = parseInt(statusValue, 10);
+      if ((method !== 'GET' && method !== 'HEAD') || !statuses.includes(status)) continue;
+
+      const url = normalizeUrl(target, host);
+      if (!url) continue;
+
+      addErrorRecord(merged, { url, source: 'access_log', hits: 1, lastSeen: parseTimeLocal(timeLocal), status });
+    }
+
+    console.log(`[accessLog] ${logFile}: ${lines} строк` + (skipped > 0 ? `, не в формате combined: ${skipped}` : ''));
+  }
+
+  return [...merged.values()];
+}
+
+module.exports = {
+  parseTimeLocal,
+  readAccessLogs
+};
@@ -0,0 +1,81 @@
+const { readCsvFile } = require('../csv');
+const { normalizeUrl } = require('./normalize');
+
+/**
+ * Разбор даты последнего обращения краулера
+ * @param {string|undefined} value - дата в формате ДД.ММ.ГГГГ (как в выгрузке) или ГГГГ-ММ-ДД
+ * @returns {string|null} дата в формате datetime SQLite (UTC) или null, если дата не указана или некорректна
+ */
+function parseLastAccess(value) {
+  if (!value) return null;
+
+  let match = value.trim().match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+  if (match) {
+    return `${match[3]}-${match[2]}-${match[1]} 00:00:00`;
+  }
+  match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) {
+    return `${match[1]}-${match[2]}-${match[3]} 00:00:00`;
+  }
+  return null;
+}
+
+/**
+ * Разбор HTTP статуса из колонки CSV
+ * @param {string|undefined} value - статус ('404', 'N/a'...)
+ * @returns {number|null} статус или null, если статус не указан
+ */
+function parseHttpCode(value) {
+  const status = parseInt(value, 10);
+  return isNaN(status) ? null : status;
+}
+
+/**
+ * Чтение CSV обхода (колонки url, currentHttpCode, prevHttpCode, lastAccess) из нескольких файлов
+ * URL нормализуются; если URL встречается несколько раз, остается строка с самой поздней датой обращения
+ * @param {Array<string>} csvFiles - пути к CSV файлам
+ * @param {Object} options - опции импорта
+ * @param {string} options.host - хост сайта для относительных URL
+ * @param {Array<number>|null} options.statuses - статусы, строки с которыми импортируются (null - все строки со статусом)
+ * @returns {Array<{url: string, source: string, hits: number, lastSeen: string|null, status: number, prevStatus: number|null}>}
+ * уникальные URL со статусами
+ */
+function readCrawlCsv(csvFiles, options) {
+  const { host, statuses = null } = options;
+  const records = new Map();
+
+  for (const csvFile of csvFiles) {
+    const { headers, rows, delimiter, encoding } = readCsvFile(csvFile);
+    if (!headers.includes('url') || !headers.includes('currentHttpCode')) {
+      throw new Error(`CSV файл ${csvFile} не содержит необходимые колонки (url, currentHttpCode)`);
+    }
+    console.log(`[crawlCsv] ${csvFile}: ${rows.length} строк (разделитель ${JSON.stringify(delimiter)}, кодировка ${encoding})`);
+
+    for (const row of rows) {
+      const status = parseHttpCode(row.currentHttpCode);
+      const url = normalizeUrl(row.url, host);
+      if (!url || status === null || (statuses && !statuses.includes(status))) continue;
+
+      const record = {
+        url,
+        source: 'crawl',
+        hits: 1,
+        lastSeen: parseLastAccess(row.lastAccess),
+        status,
+        prevStatus: parseHttpCode(row.prevHttpCode)
+      };
+
+      const existing = records.get(url);
+      if (!existing || (record.lastSeen || '') >= (existing.lastSeen || '')) {
+        records.set(url, record);
+      }
+    }
+  }
+
+  return [...records.values()];
+}
+
+module.exports = {
+  parseLastAccess,
+  readCrawlCsv
+};
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const { readAccessLogs } = require('./accessLog');
+const { readSearchConsoleExports } = require('./searchConsole');
+const { readSitemapDiff } = require('./sitemapDiff');
+const { readReferenceDiff } = require('./referenceDiff');
+const { getLatestSnapshots } = require('../referenceSnapshots');
+const { insertErrors, isReferenceDiffImported, markReferenceDiffImported } = require('../db');
+const { forEachChunk } = require('../jsonStream');
+const config = require('../config');
+
+// Корень проекта: пути в настройках импорта указываются относительно него
+const ROOT_DIR = path.join(__dirname, '..');
+
+/**
+ * Файлы директории с указанными расширениями (отсутствующая директория - пустой список)
+ * @param {string} dir - путь к директории относительно корня проекта
+ * @param {RegExp} pattern - шаблон имени файла
+ * @returns {Array<string>} абсолютные пути по алфавиту
+ */
+function listFiles(dir, pattern) {
+  const fullDir = path.resolve(ROOT_DIR, dir);
+  if (!fs.existsSync(fullDir)) {
+    return [];
+  }
+  return fs.readdirSync(fullDir)
+    .filter(file => pattern.test(file))
+    .sort()
+    .map(file => path.join(fullDir, file));
+}
+
+/**
+ * Входные файлы дополнительных источников ошибок
+ * @param {Object} importConfig - настройки импорта (config.import)
+ * @returns {{accessLogs: Array<string>, searchConsole: Array<string>, sitemaps: {previous: string, current: string}|null,
+ * snapshots: {previous: Object, current: Object}|null}} access логи nginx, выгрузки Search Console, пара sitemap.xml
+ * для сравнения (null, если одного из файлов нет) и два последних снимка справочников (null, если снимков меньше двух)
+ */
+function getSourceFiles(importConfig) {
+  const previous = path.resolve(ROOT_DIR, importConfig.sitemapPrevious);
+  const current = path.resolve(ROOT_DIR, importConfig.sitemapCurrent);
+
+  return {
+    accessLogs: listFiles(importConfig.accessLogDir, /\.log(\.\d+)?(\.gz)?$/),
+    searchConsole: listFiles(importConfig.searchConsoleDir, /\.csv$/i),
+    sitemaps: fs.existsSync(previous) && fs.existsSync(current) ? { previous, current } : null,
+    snapshots: getLatestSnapshots(importConfig.snapshotDir)
+  };
+}
+
+/**
+ * Импорт дополнительных источников ошибок: access логи nginx, выгрузки Search Console "Не найдено (404)",
+ * URL, пропавшие из sitemap.xml, и страницы записей, пропавших из справочников с предыдущего снимка
+ * Записи каждого источника сразу вставляются в БД пачками (каждая пачка - одна транзакция),
+ * в памяти остаются записи только одного источника
+ * @param {Object} sourceFiles - входные файлы (см. getSourceFiles)
+ * @param {Object} importConfig - настройки импорта (config.import): host и statuses
+ * @param {Object} options - опции импорта
+ * @param {Object<string, {target: string}>} options.collections - справочники из routes.json (шаблоны URL страниц записей)
+ * @param {boolean} options.incremental - инкрементальный запуск: сравнение пары снимков справочников, уже
+ * импортированное прошлыми запусками, пропускается (по умолчанию false - импортируется всегда)
+ * @param {number} options.chunkSize - размер пачки вставки (по умолчанию config.ingest.chunkSize)
+ * @returns {Promise<{total: number, stats: Object<string, number>}>} количество записей (одна на пару URL и источник)
+ * всего и по источникам
+ */
+async function importErrorSources(sourceFiles, importConfig, options = {}) {
+  const { collections = {}, incremental = false, chunkSize = config.ingest.chunkSize } = options;
+  const readOptions = { host: importConfig.host, statuses: importConfig.statuses };
+  const stats = {};
+  let total = 0;
+
+  const add = async (source, records) => {
+    stats[source] = await forEachChunk(records, chunkSize, chunk => insertErrors(chunk));
+    total += stats[source];
+  };
+
+  if (sourceFiles.accessLogs.length > 0) {
+    await add('access_log', await readAccessLogs(sourceFiles.accessLogs, readOptions));
+  }
+  if (sourceFiles.searchConsole.length > 0) {
+    await add('search_console', readSearchConsoleExports(sourceFiles.searchConsole, readOptions));
+  }
+  if (sourceFiles.sitemaps) {
+    await add('sitemap_diff', readSitemapDiff(sourceFiles.sitemaps.previous, sourceFiles.sitemaps.current, readOptions));
+  }
+  if (sourceFiles.snapshots) {
+    // Пропавшие коды пары снимков импортируются один раз: после этого их URL уже в БД, а статусы и редиректы
+    // сохраняются между инкрементальными запусками
+    const { previous, current } = sourceFiles.snapshots;
+    if (incremental && isReferenceDiffImported(previous.date, current.date)) {
+      console.log(`[referenceDiff] Снимки ${previous.date} -> ${current.date} уже импортированы, пропуск`);
+    } else {
+      await add('reference_diff', await readReferenceDiff(sourceFiles.snapshots, { ...readOptions, collections }));
+      markReferenceDiffImported(previous.date, current.date, stats.reference_diff);
+    }
+  }
+
+  return { total, stats };
+}
+
+module.exports = {
+  getSourceFiles,
+  importErrorSources
+};
@@ -0,0 +1,87 @@
+// Параметры запроса, которые не влияют на страницу (метки рекламных кампаний и счетчиков)
+const TRACKING_PARAMS = /^(utm_\w+|gclid|yclid|fbclid|_openstat)$/i;
+
+/**
+ * Нормализация URL из источника ошибок
+ * Относительный путь дополняется хостом, схема и хост приводятся к нижнему регистру,
+ * удаляются фрагмент, порт по умолчанию и параметры меток
+ * @param {string} url - абсолютный URL или путь
+ * @param {string} host - хост сайта для относительных путей ('https://frizar.ru')
+ * @returns {string|null} нормализованный URL или null, если URL некорректен
+ */
+function normalizeUrl(url, host) {
+  if (!url) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim(), host);
+  } catch (error) {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return null;
+  }
+
+  parsed.hash = '';
+  for (const param of [...parsed.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(param)) {
+      parsed.searchParams.delete(param);
+    }
+  }
+
+  // URL приводит схему и хост к нижнему регистру и убирает порт по умолчанию
+  return parsed.href;
+}
+
+/**
+ * Преобразование даты в формат datetime SQLite (UTC)
+ * @param {Date} date - дата
+ * @returns {string|null} 'ГГГГ-ММ-ДД ЧЧ:ММ:СС' или null для некорректной даты
+ */
+function toSqliteDate(date) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Добавление записи источника ошибок к уже объединенным записям
+ * Обращения суммируются, дата последнего обращения и статус берутся из самой поздней записи
+ * @param {Map<string, Object>} merged - объединенные записи по ключу (источник, URL)
+ * @param {{url: string, source: string, hits: number, lastSeen: string|null, status: number|null}} record - запись
+ */
+function addErrorRecord(merged, record) {
+  const key = `${record.source}\n${record.url}`;
+  const existing = merged.get(key);
+  if (!existing) {
+    merged.set(key, { ...record });
+    return;
+  }
+
+  existing.hits += record.hits;
+  if ((record.lastSeen || '') >= (existing.lastSeen || '')) {
+    existing.lastSeen = record.lastSeen || existing.lastSeen;
+    existing.status = record.status ?? existing.status;
+  }
+}
+
+/**
+ * Объединение записей источников ошибок: одна запись на пару (URL, источник)
+ * @param {Array<{url: string, source: string, hits: number, lastSeen: string|null, status: number|null}>} records - записи
+ * @returns {Array<{url: string, source: string, hits: number, lastSeen: string|null, status: number|null}>} объединенные записи
+ */
+function mergeErrorRecords(records) {
+  const merged = new Map();
+  for (const record of records) {
+    addErrorRecord(merged, record);
+  }
+  return [...merged.values()];
+}
+
+module.exports = {
+  normalizeUrl,
+  toSqliteDate,
+  addErrorRecord,
+  mergeErrorRecords
+};
@@ -0,0 +1,44 @@
+const { diffSnapshots } = require('../referenceSnapshots');
+const { normalizeUrl } = require('./normalize');
+
+/**
+ * Коды справочников, пропавшие с предыдущего снимка, как источник ошибок
+ * Страница удаленного товара или категории начнет отвечать 404, поэтому ее URL сразу попадает в поиск редиректов,
+ * не дожидаясь обхода или обращений пользователей
+ * @param {{previous: Object, current: Object}} snapshots - предыдущий и текущий снимки (см. getLatestSnapshots)
+ * @param {Object} options - опции импорта
+ * @param {string} options.host - хост сайта для относительных URL
+ * @param {Object<string, {target: string}>} options.collections - справочники из routes.json: шаблон URL страницы
+ * записи ('https://frizar.ru/product/{code}')
+ * @returns {Promise<Array<{url: string, source: string, hits: number, lastSeen: string, status: number}>>}
+ * URL страниц пропавших записей (статус 404 по данным снимков)
+ */
+async function readReferenceDiff(snapshots, options) {
+  const { host, collections } = options;
+  const { previous, current } = snapshots;
+  const removed = await diffSnapshots(previous, current);
+  const records = [];
+
+  for (const [collection, codes] of Object.entries(removed)) {
+    const template = collections[collection] && collections[collection].target;
+    if (!template) {
+      console.log(`[referenceDiff] ⚠️  Не задан шаблон URL справочника ${collection}, пропавшие коды пропущены: ${codes.length}`);
+      continue;
+    }
+
+    for (const code of codes) {
+      const url = normalizeUrl(template.replace('{code}', code), host);
+      if (url) {
+        records.push({ url, source: 'reference_diff', hits: 1, lastSeen: `${current.date} 00:00:00`, status: 404 });
+      }
+    }
+  }
+
+  const counts = Object.entries(removed).map(([collection, codes]) => `${collection}: ${codes.length}`).join(', ');
+  console.log(`[referenceDiff] Снимки ${previous.date} -> ${current.date}, пропало ${counts || 'нет общих справочников'}`);
+  return records;
+}
+
+module.exports = {
+  readReferenceDiff
+};
@@ -0,0 +1,64 @@
+const { readCsvFile } = require('../csv');
+const { normalizeUrl, toSqliteDate, mergeErrorRecords } = require('./normalize');
+
+// Заголовки колонок выгрузки Google Search Console (английский и русский интерфейс)
+const URL_HEADERS = /^(url|urls|страница|url-адрес)$/i;
+const DATE_HEADERS = /^(last crawled|последнее сканирование|дата последнего сканирования)$/i;
+
+/**
+ * Разбор даты последнего сканирования
+ * @param {string|undefined} value - дата ('2026-01-19', '19.01.2026' или 'Jan 19, 2026')
+ * @returns {string|null} дата в формате datetime SQLite (UTC)
+ */
+function parseCrawledDate(value) {
+  if (!value) return null;
+
+  const match = value.trim().match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+  if (match) {
+    return `${match[3]}-${match[2]}-${match[1]} 00:00:00`;
+  }
+  return toSqliteDate(new Date(value));
+}
+
+/**
+ * Чтение выгрузок отчета "Не найдено (404)" из Google Search Console
+ * Колонки URL и даты последнего сканирования определяются по заголовкам
+ * @param {Array<string>} csvFiles - пути к CSV файлам выгрузки
+ * @param {Object} options - опции импорта
+ * @param {string} options.host - хост сайта для относительных URL
+ * @returns {Array<{url: string, source: string, hits: number, lastSeen: string|null, status: number}>}
+ * URL из выгрузок (статус 404 по определению отчета)
+ */
+function readSearchConsoleExports(csvFiles, options) {
+  const { host } = options;
+  const records = [];
+
+  for (const csvFile of csvFiles) {
+    const { headers, rows } = readCsvFile(csvFile);
+    const urlHeader = headers.find(header => URL_HEADERS.test(header));
+    const dateHeader = headers.find(header => DATE_HEADERS.test(header));
+    if (!urlHeader) {
+      throw new Error(`Выгрузка Search Console ${csvFile} не содержит колонку URL (заголовки: ${headers.join(', ')})`);
+    }
+    console.log(`[searchConsole] ${csvFile}: ${rows.length} строк`);
+
+    for (const row of rows) {
+      const url = normalizeUrl(row[urlHeader], host);
+      if (!url) continue;
+
+      records.push({
+        url,
+        source: 'search_console',
+        hits: 1,
+        lastSeen: dateHeader ? parseCrawledDate(row[dateHeader]) : null,
+        status: 404
+      });
+    }
+  }
+
+  return mergeErrorRecords(records);
+}
+
+module.exports = {
+  readSearchConsoleExports
+};
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const { normalizeUrl, toSqliteDate } = require('./normalize');
+
+/**
+ * Декодирование XML сущностей в значении тега
+ * @param {string} value - значение
+ * @returns {string} значение без сущностей
+ */
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Чтение URL из файла sitemap.xml
+ * @param {string} filePath - путь к файлу
+ * @param {string} host - хост сайта для относительных URL
+ * @returns {Map<string, string|null>} нормализованный URL -> дата lastmod (формат datetime SQLite) или null
+ */
+function readSitemapUrls(filePath, host) {
+  const xml = fs.readFileSync(filePath, 'utf8');
+  const urls = new Map();
+
+  for (const [, entry] of xml.matchAll(/<url>([\s\S]*?)<\/url>/g)) {
+    const loc = entry.match(/<loc>\s*([\s\S]*?)\s*<\/loc>/);
+    if (!loc) continue;
+
+    const url = normalizeUrl(decodeXmlEntities(loc[1]), host);
+    if (!url) continue;
+
+    const lastmod = entry.match(/<lastmod>\s*([\s\S]*?)\s*<\/lastmod>/);
+    urls.set(url, lastmod ? toSqliteDate(new Date(lastmod[1])) : null);
+  }
+
+  return urls;
+}
+
+/**
+ * Сравнение предыдущего и текущего sitemap.xml
+ * URL, которые пропали из sitemap, становятся кандидатами в ошибки: статус неизвестен и определяется проверкой
+ * @param {string} previousFile - путь к предыдущему sitemap.xml
+ * @param {string} currentFile - путь к текущему sitemap.xml
+ * @param {Object} options - опции импорта
+ * @param {string} options.host - хост сайта для относительных URL
+ * @returns {Array<{url: string, source: string, hits: number, lastSeen: string|null, status: null}>}
+ * URL, которые есть в предыдущем sitemap и отсутствуют в текущем
+ */
+function readSitemapDiff(previousFile, currentFile, options) {
+  const { host } = options;
+  const previous = readSitemapUrls(previousFile, host);
+  const current = readSitemapUrls(currentFile, host);
+
+  const records = [];
+  for (const [url, lastmod] of previous) {
+    if (!current.has(url)) {
+      records.push({ url, source: 'sitemap_diff', hits: 1, lastSeen: lastmod, status: null });
+    }
+  }
+
+  console.log(`[sitemapDiff] В предыдущем sitemap ${previous.size} URL, в текущем ${current.size}, пропало ${records.length}`);
+  return records;
+}
+
+module.exports = {
+  readSitemapUrls,
+  readSitemapDiff
+};
@@ -1,210 +1,521 @@
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { 
   initDatabase, 
   closeDatabase, 
   createAllTables,
   getErrorsByStatus,
-  getAllProducts,
-  getAllCatalog,
+  getReferenceCodes,
   insertRedirects,
-  updateErrorStatus
+  getRedirectStates,
+  deleteInactiveRedirects,
+  updateErrorStatus,
+  getRedirectChain,
+  getRenamedCode,
+  startRun,
+  finishRun,
+  failRun,
+  getRuns
 } = require('./db');
-const { processErrors, checkUrlStatus } = require('./processErrors');
+const { processErrors } = require('./processErrors');
 const { loadAllReferences } = require('./loadReferences');
-const { findBestMatch } = require('./fuzzyMatch');
+const { buildTokenWeights, setTransliterationClasses } = require('./fuzzyMatch');
+const { matchJobs } = require('./matcher');
+const { createMatchPool, resolveWorkerCount } = require('./matchWorkers');
+const { compileRoutes, matchRoute, buildTargetUrl } = require('./routes');
+const { validateTargets } = require('./validateTargets');
+const { loadSiteRedirects } = require('./siteRedirects');
+const { getSourceFiles, importErrorSources } = require('./importers');
+const { recordSnapshotHistory } = require('./referenceSnapshots');
+const config = require('./config');
 
 /**
- * Извлечение последнего сегмента из URL
- * @param {string} url - URL
- * @returns {string|null} последний сегмент или null
+ * Хэш входных данных сопоставления
+ * @param {...*} parts - сериализуемые в JSON данные
+ * @returns {string} sha1 в hex
  */
-function extractLastSegment(url) {
-  try {
-    // Декодируем URL
-    const decodedUrl = decodeURIComponent(url);
-    // Убираем trailing slash если есть
-    const cleanUrl = decodedUrl.replace(/\/$/, '');
-    // Извлекаем последний сегмент
-    const segments = cleanUrl.split('/');
-    const lastSegment = segments[segments.length - 1];
-    
-    return lastSegment || null;
-  } catch (error) {
-    console.error(`Ошибка при извлечении сегмента из ${url}:`, error.message);
+function hashInputs(...parts) {
+  return crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * Хэш содержимого файла
+ * @param {string} filePath - путь к файлу
+ * @returns {string|null} sha1 в hex или null, если файла нет
+ */
+function hashFile(filePath) {
+  if (!fs.existsSync(filePath)) {
     return null;
   }
+  return crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex');
 }
 
 /**
- * Определение типа URL (product или catalog)
- * @param {string} url - URL
- * @returns {string|null} 'product', 'catalog' или null
+ * Поиск прерванного полного запуска с теми же входными данными проверки статусов
+ * Подряд идущие незавершенные запуски (прерванные или продолженные и снова прерванные) считаются одним
+ * @param {string} resumeKey - ключ продолжения текущего запуска (см. startRun)
+ * @returns {{runs: Array<Object>, since: string}|null} прерванные запуски и время начала первого из них
+ * или null, если последний запуск завершен или входные данные проверки статусов изменились
  */
-function getUrlType(url) {
-  if (url.includes('/product/')) {
-    return 'product';
-  } else if (url.includes('/catalog/')) {
-    return 'catalog';
+function findInterruptedRun(resumeKey) {
+  const interrupted = [];
+  
+  for (const run of getRuns().reverse()) {
+    if (run.status === 'finished' || run.mode !== 'full' || run.resume_key !== resumeKey) {
+      break;
+    }
+    interrupted.unshift(run);
   }
-  return null;
+  
+  return interrupted.length > 0 ? { runs: interrupted, since: interrupted[0].started_at } : null;
 }
 
 /**
  * Обработка редиректов
  * Создает редиректы только для страниц с ошибкой (статус >= 400)
  * Следует редиректам и проверяет финальную страницу на 404
+ * Код страницы и справочник для поиска определяются правилами маршрутов (routes.json)
+ * @param {Object} options - опции обработки
+ * @param {string} options.scorer - алгоритм сравнения: 'levenshtein' или 'token' (по умолчанию из config.js)
+ * @param {Object} options.numeric - проверка чисел и артикулов (по умолчанию из config.js)
+ * @param {number} options.topN - количество сохраняемых кандидатов (по умолчанию из config.js)
+ * @param {number|string} options.workers - количество воркеров для сопоставления, 'auto' - по числу ядер (по умолчанию из config.js)
+ * @param {boolean} options.incremental - сопоставлять только URL, входные данные которых изменились
+ * с прошлого запуска; принятые при ручной проверке редиректы не пересчитываются (по умолчанию false)
+ * @param {number|null} options.runId - запуск, к которому привязываются найденные редиректы (см. startRun в db.js)
+ * @returns {Promise<{referenceCounts: Object, settings: Object, stats: Object}>} размеры справочников,
+ * настройки поиска и статистика обработки (для журнала запусков)
  */
-async function processRedirects() {
+async function processRedirects(options = {}) {
+  const {
+    scorer = config.matching.scorer,
+    numeric = config.matching.numeric,
+    topN = config.matching.topN,
+    workers = config.matching.workers,
+    incremental = false,
+    runId = null
+  } = options;
+  
   console.log('\n=== Начинаем обработку редиректов ===');
   
+  const routes = compileRoutes(config.routes);
+  
   // Получаем только ошибки со статусом >= 400 (ошибки сервера)
   const errors = getErrorsByStatus(400);
-  const products = getAllProducts();
-  const catalog = getAllCatalog();
+  // Неактивные (неопубликованные) записи справочников не могут быть целью редиректа
+  const references = {};
+  const inactiveCounts = {};
+  for (const collection of Object.keys(routes.collections)) {
+    const rows = getReferenceCodes(collection);
+    references[collection] = rows.filter(row => row.active);
+    inactiveCounts[collection] = rows.length - references[collection].length;
+  }
   
   console.log(`Всего ошибок со статусом >= 400: ${errors.length}`);
-  console.log(`Всего products: ${products.length}`);
-  console.log(`Всего catalog: ${catalog.length}`);
+  for (const [collection, codes] of Object.entries(references)) {
+    const inactive = inactiveCounts[collection];
+    console.log(`Всего ${collection}: ${codes.length}` + (inactive > 0 ? ` (неактивных пропущено: ${inactive})` : ''));
+  }
+  console.log(`Правила маршрутов: ${routes.rules.map(rule => rule.name).join(', ')}`);
+  console.log(`Алгоритм сравнения: ${scorer}`);
+  console.log(`Проверка чисел и артикулов: ${numeric.mode}`);
+  
+  if (config.matching.transliterationClasses) {
+    setTransliterationClasses(config.matching.transliterationClasses);
+    console.log(`Классы транслитерации загружены из ${process.env.TRANSLITERATION_FILE}`);
+  }
   
-  const redirects = [];
+  const matchOptions = {
+    scorer,
+    numeric,
+    limit: topN,
+    minPercent: config.matching.minPercent,
+    contextWeight: config.matching.contextWeight,
+    nameWeight: config.matching.nameWeight,
+    similarMinPercent: config.fallback.similarMinPercent,
+    typePrior: config.matching.typePrior,
+    strategies: config.fallback.strategies
+  };
+  const settings = { ...matchOptions, incremental };
+  // Настройки и содержимое справочников входят в хэш каждой задачи: при их изменении
+  // в инкрементальном режиме пересчитываются все редиректы
+  const settingsHash = hashInputs(
+    matchOptions,
+    config.matching.transliterationClasses,
+    config.fallback.searchUrlTemplate,
+    Object.entries(references).map(([collection, codes]) => [collection, hashInputs(codes)])
+  );
+  if (scorer === 'token') {
+    // Веса токенов считаются по всем справочникам один раз на весь прогон
+    matchOptions.tokenWeights = buildTokenWeights(...Object.values(references));
+  }
+  
+  // Этап 1: определение кода и правила маршрута для каждой ошибки
+  let jobs = [];
+  // Шаблоны целевых URL правила и хэши входных данных для каждой задачи
+  let targets = [];
+  let inputHashes = [];
   let processed = 0;
-  let productMatches = 0;
-  let catalogMatches = 0;
+  const strategyStats = {};
+  let reclassified = 0;
   let skipped = 0;
   let redirectedTo404 = 0;
   
   for (const error of errors) {
     let url = error.url;
-    let urlType = getUrlType(url);
     
-    // Если есть финальный URL после редиректа, проверяем его
+    // Если есть финальный URL после редиректа, статус финальной страницы берется из цепочки,
+    // сохраненной при проверке статуса (повторный запрос не нужен)
     if (error.final_url) {
-      console.log(`[processRedirects] Обнаружен редирект: ${error.url} -> ${error.final_url}`);
+      const chain = getRedirectChain(error.url);
+      const hops = chain.length > 0
+        ? chain.map(hop => `${hop.url} (${hop.status})`).join(' -> ')
+        : `${error.url} -> ${error.final_url}`;
+      console.log(`[processRedirects] Обнаружен редирект: ${hops}`);
       
-      // Проверяем статус финальной страницы
-      const finalResult = await checkUrlStatus(error.final_url);
+      // Цепочки нет у статусов, проверенных до ее появления: статус actualStatus - статус финальной страницы
+      const finalStatus = chain.length > 0 ? chain[chain.length - 1].status : error.status;
       
-      if (finalResult.status === 404) {
+      if (finalStatus === 404) {
         // Финальная страница возвращает 404 - используем её для поиска
         console.log(`[processRedirects] Финальная страница ${error.final_url} возвращает 404, используем для поиска`);
         url = error.final_url;
-        urlType = getUrlType(url);
         redirectedTo404++;
         
         // Обновляем статус финального URL в БД
         updateErrorStatus(error.final_url, 404, null);
-      } else if (finalResult.status && finalResult.status < 400) {
+      } else if (finalStatus && finalStatus < 400) {
         // Финальная страница доступна (не ошибка) - пропускаем
-        console.log(`[processRedirects] Финальная страница ${error.final_url} доступна (статус ${finalResult.status}), пропускаем`);
+        console.log(`[processRedirects] Финальная страница ${error.final_url} доступна (статус ${finalStatus}), пропускаем`);
         skipped++;
         processed++;
         continue;
       } else {
         // Финальная страница имеет другую ошибку - используем её
         url = error.final_url;
-        urlType = getUrlType(url);
       }
     }
     
-    if (!urlType) {
+    // Последний сегмент - код страницы, предыдущие - родительские категории
+    const route = matchRoute(url, routes);
+    if (!route) {
       skipped++;
       processed++;
       continue;
     }
     
-    const code = extractLastSegment(url);
-    if (!code) {
-      skipped++;
-      processed++;
-      continue;
-    }
+    // Справочник целевой страницы выбирает классификатор при сопоставлении.
+    // Если код сменился у той же записи 1С (переименование), новый код известен точно и поиск не нужен
+    const job = {
+      from: error.url, // Всегда используем исходный URL как from
+      code: route.code,
+      parents: route.parents,
+      rule: route.rule.name,
+      collection: route.rule.collection,
+      alternatives: route.rule.alternatives,
+      rename: getRenamedCode(route.rule.collection, route.code)
+    };
+    jobs.push(job);
+    targets.push(route.rule.targets);
+    inputHashes.push(hashInputs(settingsHash, job, route.rule.targets));
+    processed++;
+  }
+  
+  // Инкрементальный режим: удаляются редиректы URL, которые больше не являются ошибками,
+  // и пропускаются принятые редиректы и URL с неизменными входными данными
+  let unchanged = 0;
+  let accepted = 0;
+  let removed = 0;
+  if (incremental) {
+    removed = deleteInactiveRedirects(new Set(jobs.map(job => job.from)));
     
-    // Определяем фактический тип для поиска
-    // Если это catalog, но у url есть цифра, то сопоставлять с product
-    let actualType = urlType;
-    if (urlType === 'catalog' && /\d/.test(url)) {
-      actualType = 'product';
-    }
+    const states = getRedirectStates();
+    const pending = [];
+    jobs.forEach((job, i) => {
+      const state = states.get(job.from);
+      if (state && state.accepted) {
+        accepted++;
+      } else if (state && state.inputHash === inputHashes[i]) {
+        unchanged++;
+      } else {
+        pending.push(i);
+      }
+    });
     
-    // Выбираем соответствующую таблицу для поиска
-    const searchTable = actualType === 'product' ? products : catalog;
+    jobs = pending.map(i => jobs[i]);
+    targets = pending.map(i => targets[i]);
+    inputHashes = pending.map(i => inputHashes[i]);
+  }
+  
+  // Этапы 2-3 выполняются пачками по config.ingest.chunkSize задач: результаты поиска и кандидаты
+  // хранятся в памяти только для текущей пачки, найденные редиректы сразу записываются в БД
+  const workerCount = resolveWorkerCount(workers);
+  const chunkSize = config.ingest.chunkSize;
+  console.log(`Сопоставление ${jobs.length} URL, воркеров: ${workerCount}, размер пачки: ${chunkSize}`);
+  
+  // Пул воркеров создается один раз на прогон: справочники копируются в воркеры при запуске,
+  // пачкам передаются только задачи
+  const pool = workerCount > 1 && jobs.length > 0
+    ? createMatchPool(references, matchOptions, {
+      workers: workerCount,
+      transliterationClasses: config.matching.transliterationClasses
+    })
+    : null;
+  
+  let redirectsCount = 0;
+  try {
+    for (let start = 0; start < jobs.length; start += chunkSize) {
+      const chunkJobs = jobs.slice(start, start + chunkSize);
+      if (jobs.length > chunkSize) {
+        console.log(`Пачка ${start + 1}-${start + chunkJobs.length} из ${jobs.length}`);
+      }
     
-    // Выполняем неточный поиск
-    const match = findBestMatch(code, searchTable);
+      // Этап 2: неточный поиск (N лучших кандидатов, первый - лучший)
+      const results = pool
+        ? await pool.match(chunkJobs)
+        : matchJobs(chunkJobs, references, matchOptions);
     
-    if (match) {
-      const toUrl = `https://frizar.ru/${actualType}/${match.code}`;
+      // Этап 3: формирование редиректов в исходном порядке ошибок
+      const redirects = [];
+      chunkJobs.forEach((job, offset) => {
+        const i = start + offset;
+        const { classification, matches } = results[offset];
       
-      redirects.push({
-        from: error.url, // Всегда используем исходный URL как from
-        to: toUrl,
-        percent: match.percent
-      });
+        if (classification.type !== job.collection) {
+          reclassified++;
+        }
       
-      if (actualType === 'product') {
-        productMatches++;
-      } else {
-        catalogMatches++;
+        if (matches.length === 0) {
+          skipped++;
+          return;
+        }
+      
+        const candidates = matches.map(match => ({
+          to: buildTargetUrl(match, targets[i], config.fallback.searchUrlTemplate),
+          percent: match.percent,
+          strategy: match.strategy,
+          details: match.details
+        }));
+      
+        redirects.push({
+          from: job.from,
+          ...candidates[0],
+          classification,
+          candidates,
+          inputHash: inputHashes[i]
+        });
+      
+        const statKey = `${matches[0].strategy}:${matches[0].type}`;
+        strategyStats[statKey] = (strategyStats[statKey] || 0) + 1;
+      });
+    
+      // Вставляем редиректы пачки в БД
+      if (redirects.length > 0) {
+        insertRedirects(redirects, runId);
       }
-    } else {
-      skipped++;
+      redirectsCount += redirects.length;
     }
-    
-    processed++;
-    
-    if (processed % 100 === 0) {
-      console.log(`Обработано ${processed}/${errors.length} ошибок, найдено редиректов: ${redirects.length}`);
+  } finally {
+    if (pool) {
+      await pool.close();
     }
   }
   
-  // Вставляем все редиректы в БД
-  if (redirects.length > 0) {
-    insertRedirects(redirects);
-  }
-  
   console.log(`\nОбработка редиректов завершена:`);
   console.log(`- Обработано: ${processed}`);
-  console.log(`- Найдено редиректов: ${redirects.length}`);
-  console.log(`  - Products: ${productMatches}`);
-  console.log(`  - Catalog: ${catalogMatches}`);
+  console.log(`- Найдено редиректов: ${redirectsCount}`);
+  for (const [key, count] of Object.entries(strategyStats)) {
+    const [strategy, type] = key.split(':');
+    console.log(`  - ${strategy} (${type}): ${count}`);
+  }
+  console.log(`- Справочник изменен классификатором: ${reclassified}`);
   console.log(`- Редиректы на 404: ${redirectedTo404}`);
   console.log(`- Пропущено: ${skipped}`);
+  if (incremental) {
+    console.log(`- Без изменений с прошлого запуска: ${unchanged}`);
+    console.log(`- Принятые при ручной проверке: ${accepted}`);
+    console.log(`- Удалено редиректов для URL без ошибки: ${removed}`);
+  }
+  
+  const referenceCounts = {};
+  for (const [collection, codes] of Object.entries(references)) {
+    referenceCounts[collection] = codes.length;
+  }
+  
+  return {
+    referenceCounts,
+    settings,
+    stats: {
+      errors: errors.length,
+      processed,
+      redirects: redirectsCount,
+      strategies: strategyStats,
+      reclassified,
+      redirectedTo404,
+      skipped,
+      unchanged,
+      accepted,
+      removed,
+      inactiveReferences: inactiveCounts
+    }
+  };
 }
 
 /**
  * Основная функция
+ * Аргументы: --incremental - сохранить статусы и принятые редиректы прошлых запусков,
+ * --full - пересоздать все таблицы (по умолчанию режим из RUN_MODE)
  */
 async function main() {
+  const args = process.argv.slice(2);
+  const incremental = args.includes('--incremental') ||
+    (config.run.mode === 'incremental' && !args.includes('--full'));
+  let statusSource = config.run.statusSource;
+  if (args.includes('--offline')) {
+    statusSource = 'offline';
+  } else if (args.includes('--hybrid')) {
+    statusSource = 'hybrid';
+  }
+  const offline = statusSource === 'offline';
   const dataDir = path.join(__dirname, 'data');
   const errorsFile = path.join(dataDir, 'errors.json');
   const productsFile = path.join(dataDir, 'nest.product1cs.json');
   const catalogFile = path.join(dataDir, 'nest.catalog1cs.json');
+  let runId = null;
   
   try {
-    console.log('=== Инициализация БД ===');
+    console.log(`=== Инициализация БД (режим: ${incremental ? 'инкрементальный' : 'полный'}) ===`);
     initDatabase();
-    createAllTables();
+    
+    // Дополнительные справочники из routes.json с указанным файлом
+    const extraCollections = {};
+    for (const [collection, collectionConfig] of Object.entries(config.routes.collections)) {
+      if (collectionConfig.file) {
+        extraCollections[collection] = path.resolve(__dirname, collectionConfig.file);
+      }
+    }
+    
+    // Входные файлы запуска: выгрузки ошибок (CSV обхода и errors.json) и справочников
+    const csvFiles = fs.readdirSync(dataDir)
+      .filter(file => file.toLowerCase().endsWith('.csv'))
+      .map(file => path.join(dataDir, file));
+    // Дополнительные источники ошибок: access логи, выгрузки Search Console, sitemap.xml, снимки справочников
+    const sourceFiles = getSourceFiles(config.import);
+    const inputFiles = [
+      ...csvFiles,
+      errorsFile,
+      ...sourceFiles.accessLogs,
+      ...sourceFiles.searchConsole,
+      ...(sourceFiles.sitemaps ? [sourceFiles.sitemaps.previous, sourceFiles.sitemaps.current] : []),
+      ...(sourceFiles.snapshots ? Object.values(sourceFiles.snapshots.previous.files) : []),
+      ...(sourceFiles.snapshots ? Object.values(sourceFiles.snapshots.current.files) : []),
+      productsFile,
+      catalogFile,
+      ...Object.values(extraCollections)
+    ];
+    const inputHashes = {};
+    for (const file of inputFiles) {
+      inputHashes[path.relative(__dirname, file)] = hashFile(file);
+    }
+    // Ключ продолжения: только входные данные проверки статусов (ошибки, их источники и источник статусов).
+    // Справочники и снимки не учитываются: main.js выгружает data/nest.*.json заново перед каждым запуском
+    const statusFiles = [
+      ...csvFiles,
+      errorsFile,
+      ...sourceFiles.accessLogs,
+      ...sourceFiles.searchConsole,
+      ...(sourceFiles.sitemaps ? [sourceFiles.sitemaps.previous, sourceFiles.sitemaps.current] : [])
+    ];
+    const statusHashes = statusFiles.map(file => path.relative(__dirname, file)).map(file => [file, inputHashes[file]]);
+    const resumeKey = hashInputs(statusHashes, statusSource);
+    
+    // Полный запуск, прерванный на тех же входных данных проверки статусов, продолжается: статусы, проверенные
+    // до прерывания, сохраняются и не перепроверяются
+    const interrupted = incremental ? null : findInterruptedRun(resumeKey);
+    createAllTables(!incremental, Boolean(interrupted));
+    
+    runId = startRun(incremental ? 'incremental' : 'full', inputHashes, resumeKey);
+    console.log(`Запуск #${runId}`);
+    if (interrupted) {
+      console.log(`Продолжение прерванного запуска #${interrupted.runs[0].id} (начат ${interrupted.since})`);
+      for (const run of interrupted.runs.filter(run => run.status === 'running')) {
+        failRun(run.id, `Прерван, продолжен запуском #${runId}`);
+      }
+    }
+    
+    console.log('\n=== Импорт дополнительных источников ошибок ===');
+    const imported = await importErrorSources(sourceFiles, config.import, {
+      collections: config.routes.collections,
+      incremental
+    });
+    if (imported.total === 0) {
+      console.log('Дополнительных источников нет');
+    }
     
     console.log('\n=== Обработка ошибок ===');
     console.log(`[index.js] Файл с ошибками: ${errorsFile}`);
     console.log(`[index.js] Вызываем processErrors с skipStatusCheck: false`);
-    // Проверяем статусы всех URL через GET запросы
+    // Проверяем статусы URL через GET запросы или берем из CSV обхода (в инкрементальном режиме - только новые и устаревшие)
     await processErrors(errorsFile, { 
-      skipStatusCheck: false, // Проверяем статусы всех URL
-      concurrency: 10 
+      skipStatusCheck: false,
+      concurrency: config.http.concurrency,
+      incremental,
+      statusTtlHours: config.run.statusTtlHours,
+      resumeSince: interrupted ? interrupted.since : null,
+      statusSource,
+      csvFiles,
+      csvMaxAgeDays: config.run.csvMaxAgeDays
     });
     console.log(`[index.js] processErrors завершен`);
     
+    // В офлайн режиме этапы, которым нужны HTTP запросы, пропускаются
+    let siteRedirectStats = null;
+    if (offline) {
+      console.log('\n⚠️  Офлайн режим: цели существующих редиректов сайта не определяются');
+    } else {
+      console.log('\n=== Загрузка существующих редиректов сайта ===');
+      // Редиректы из CSV обхода (301/302/307/308) учитываются при анализе графа перед экспортом
+      siteRedirectStats = await loadSiteRedirects(csvFiles, {
+        concurrency: config.http.concurrency,
+        maxAgeHours: incremental ? config.run.statusTtlHours : null
+      });
+    }
+    
     console.log('\n=== Загрузка справочников ===');
-    loadAllReferences(productsFile, catalogFile);
+    await loadAllReferences(productsFile, catalogFile, extraCollections);
+    await recordSnapshotHistory();
     
     console.log('\n=== Обработка редиректов ===');
-    await processRedirects();
+    const summary = await processRedirects({ incremental, runId });
+    summary.stats.siteRedirects = siteRedirectStats;
+    summary.stats.importedSources = imported.stats;
+    summary.settings.statusSource = statusSource;
+    if (interrupted) {
+      summary.settings.resumedFrom = interrupted.runs[0].id;
+    }
+    
+    if (config.validation.enabled && offline) {
+      console.log('\n⚠️  Офлайн режим: целевые URL не проверяются. Проверьте их командой npm run validate ' +
+        'или выгрузите с --allow-invalid-targets');
+    } else if (config.validation.enabled) {
+      console.log('\n=== Проверка целевых URL ===');
+      // В инкрементальном режиме перепроверяются только новые и устаревшие результаты
+      summary.stats.targets = await validateTargets({
+        concurrency: config.http.concurrency,
+        maxAgeHours: incremental ? config.run.statusTtlHours : null
+      });
+    }
+    
+    finishRun(runId, summary);
     
     console.log('\n=== Готово! ===');
     
   } catch (error) {
     console.error('Критическая ошибка:', error);
+    if (runId !== null) {
+      failRun(runId, error.message);
+    }
     process.exit(1);
   } finally {
     closeDatabase();
@@ -216,4 +527,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { main };
+module.exports = { main, processRedirects };
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const readline = require('readline');
+
+const isWhitespace = (char) => char === ' ' || char === '\n' || char === '\r' || char === '\t' || char === '﻿';
+
+/**
+ * Потоковое чтение JSON массива: элементы верхнего уровня разбираются по одному,
+ * файл целиком в память не загружается
+ * @param {string} filePath - путь к файлу
+ * @returns {AsyncGenerator<*>} элементы массива
+ */
+async function* streamJsonArray(filePath) {
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+  let started = false;
+  let ended = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  // Начало текущего элемента в предыдущих кусках файла
+  let pending = '';
+  let index = 0;
+
+  const parseElement = (text) => {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Некорректный элемент ${index + 1} JSON массива: ${error.message}`);
+    }
+  };
+
+  for await (const chunk of stream) {
+    let segmentStart = 0;
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (!started || ended) {
+        if (isWhitespace(char)) continue;
+        if (ended) {
+          throw new Error('Лишние данные после JSON массива');
+        }
+        if (char !== '[') {
+          throw new Error('Файл должен содержать массив объектов');
+        }
+        started = true;
+        segmentStart = i + 1;
+        continue;
+      }
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if ((char === '}' || char === ']') && depth > 0) {
+        depth--;
+      } else if ((char === ',' || char === ']') && depth === 0) {
+        // Конец элемента верхнего уровня (или всего массива)
+        const text = pending + chunk.slice(segmentStart, i);
+        pending = '';
+        segmentStart = i + 1;
+
+        if (char === ']') {
+          ended = true;
+          if (text.trim() === '') continue;
+        }
+        yield parseElement(text);
+        index++;
+      }
+    }
+
+    if (started && !ended) {
+      pending += chunk.slice(segmentStart);
+    }
+  }
+
+  if (!ended) {
+    throw new Error('Незавершенный JSON массив');
+  }
+}
+
+/**
+ * Потоковое чтение NDJSON/JSONL: один JSON объект на строку, пустые строки пропускаются
+ * @param {string} filePath - путь к файлу
+ * @returns {AsyncGenerator<*>} записи
+ */
+async function* streamJsonLines(filePath) {
+  const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+  let lineNumber = 0;
+
+  for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+    lineNumber++;
+    const text = line.replace(/^﻿/, '').trim();
+    if (!text) continue;
+
+    try {
+      yield JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Некорректная строка ${lineNumber}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Потоковое чтение записей из JSON массива или NDJSON/JSONL
+ * Формат определяется по расширению (.ndjson, .jsonl), иначе по первому символу файла
+ * @param {string} filePath - путь к файлу
+ * @returns {Promise<AsyncGenerator<*>>} записи
+ */
+async function streamJsonRecords(filePath) {
+  if (/\.(ndjson|jsonl)$/i.test(filePath)) {
+    return streamJsonLines(filePath);
+  }
+
+  // Первый значащий символ: '[' - JSON массив, иначе - по объекту на строку
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(4096), 0, 4096, 0);
+    const head = buffer.subarray(0, bytesRead).toString('utf8').replace(/^﻿/, '').trimStart();
+    return head.startsWith('[') || head === '' ? streamJsonArray(filePath) : streamJsonLines(filePath);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Обработка записей пачками ограниченного размера
+ * @param {AsyncIterable<*>} records - записи
+ * @param {number} chunkSize - размер пачки
+ * @param {Function} handler - обработчик пачки (получает массив записей)
+ * @returns {Promise<number>} количество обработанных записей
+ */
+async function forEachChunk(records, chunkSize, handler) {
+  let chunk = [];
+  let total = 0;
+
+  for await (const record of records) {
+    chunk.push(record);
+    if (chunk.length >= chunkSize) {
+      await handler(chunk);
+      total += chunk.length;
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) {
+    await handler(chunk);
+    total += chunk.length;
+  }
+
+  return total;
+}
+
+module.exports = {
+  streamJsonArray,
+  streamJsonLines,
+  streamJsonRecords,
+  forEachChunk
+};
@@ -1,30 +1,117 @@
-const fs = require('fs');
 const path = require('path');
-const { insertProducts, insertCatalog } = require('./db');
+const config = require('./config');
+const { insertProducts, insertCatalog, insertReferenceCodes, recordReferenceHistory } = require('./db');
+const { streamJsonRecords, forEachChunk } = require('./jsonStream');
+
+// Значения признака активности, которые означают неактивную (неопубликованную) запись
+const INACTIVE_VALUES = new Set(['false', '0', 'no', 'нет', 'n', 'off']);
+
+/**
+ * Значение поля записи по пути через точку
+ * Значения расширенного JSON mongoexport ({"$oid": ...}, {"$numberLong": ...}) разворачиваются
+ * @param {Object} item - запись
+ * @param {string} fieldPath - путь к полю ('brand.name')
+ * @returns {*} значение или undefined
+ */
+function getField(item, fieldPath) {
+  let value = item;
+  for (const key of fieldPath.split('.')) {
+    if (value === null || typeof value !== 'object') {
+      return undefined;
+    }
+    value = value[key];
+  }
+
+  if (value && typeof value === 'object') {
+    for (const key of ['$oid', '$numberLong', '$numberInt', '$numberDouble']) {
+      if (key in value) return value[key];
+    }
+  }
+  return value;
+}
 
 /**
- * Чтение JSON файла и извлечение кодов
+ * Строковое значение поля (пустая строка и отсутствующее поле - null)
+ * @param {*} value - значение
+ * @returns {string|null}
+ */
+function toText(value) {
+  if (value === undefined || value === null || typeof value === 'object') {
+    return null;
+  }
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Признак активности записи: отсутствующее поле - активна
+ * @param {*} value - значение поля (true/false, 1/0, 'да'/'нет'...)
+ * @returns {boolean}
+ */
+function toActive(value) {
+  if (value === undefined || value === null) {
+    return true;
+  }
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  return !INACTIVE_VALUES.has(String(value).trim().toLowerCase());
+}
+
+/**
+ * Запись справочника из объекта выгрузки
+ * @param {Object} item - объект выгрузки MongoDB
+ * @param {Object} fields - пути к полям (config.references.fields)
+ * @returns {{code: string, externalId: string|null, name: string|null, parentCode: string|null,
+ * brand: string|null, active: boolean}|null} запись или null, если нет кода
+ */
+function toReferenceRecord(item, fields) {
+  if (!item || !item.code || typeof item.code !== 'string') {
+    return null;
+  }
+
+  return {
+    code: item.code,
+    externalId: toText(getField(item, fields.externalId)),
+    name: toText(getField(item, fields.name)),
+    parentCode: toText(getField(item, fields.parentCode)),
+    brand: toText(getField(item, fields.brand)),
+    active: toActive(getField(item, fields.active))
+  };
+}
+
+/**
+ * Потоковое чтение JSON файла (массив или NDJSON/JSONL) и вставка записей справочника пачками
+ * Кроме кода читаются id 1С, название, родительская категория, бренд и признак активности (если есть)
  * @param {string} filePath - путь к файлу
- * @returns {Array<string>} массив кодов
+ * @param {Function} insertRecords - вставка пачки записей в БД (одна транзакция на пачку)
+ * @param {number} chunkSize - размер пачки (по умолчанию config.ingest.chunkSize)
+ * @returns {Promise<number>} количество извлеченных записей
  */
-function readCodesFromFile(filePath) {
+async function streamReferencesFromFile(filePath, insertRecords, chunkSize = config.ingest.chunkSize) {
+  const { fields } = config.references;
+
   try {
-    const fileContent = fs.readFileSync(filePath, 'utf8');
-    const data = JSON.parse(fileContent);
-    
-    if (!Array.isArray(data)) {
-      throw new Error('Файл должен содержать массив объектов');
-    }
-    
-    const codes = [];
-    for (const item of data) {
-      if (item.code && typeof item.code === 'string') {
-        codes.push(item.code);
+    let codesCount = 0;
+    let inactive = 0;
+    const total = await forEachChunk(await streamJsonRecords(filePath), chunkSize, (items) => {
+      const records = [];
+      for (const item of items) {
+        const record = toReferenceRecord(item, fields);
+        if (!record) continue;
+
+        records.push(record);
+        if (!record.active) {
+          inactive++;
+        }
       }
-    }
+      insertRecords(records);
+      codesCount += records.length;
+    });
     
-    console.log(`Извлечено ${codes.length} кодов из ${data.length} записей в файле ${path.basename(filePath)}`);
-    return codes;
+    console.log(`Извлечено ${codesCount} кодов из ${total} записей в файле ${path.basename(filePath)}` +
+      (inactive > 0 ? ` (неактивных: ${inactive})` : ''));
+    return codesCount;
   } catch (error) {
     console.error(`Ошибка при чтении файла ${filePath}:`, error.message);
     throw error;
@@ -35,37 +122,56 @@ function readCodesFromFile(filePath) {
  * Загрузка products из файла
  * @param {string} filePath - путь к файлу с products
  */
-function loadProducts(filePath) {
+async function loadProducts(filePath) {
   console.log(`Загрузка products из ${filePath}...`);
-  const codes = readCodesFromFile(filePath);
-  insertProducts(codes);
-  console.log(`Products загружены: ${codes.length} записей`);
+  const count = await streamReferencesFromFile(filePath, insertProducts);
+  recordReferenceHistory('products');
+  console.log(`Products загружены: ${count} записей`);
 }
 
 /**
  * Загрузка catalog из файла
  * @param {string} filePath - путь к файлу с catalog
  */
-function loadCatalog(filePath) {
+async function loadCatalog(filePath) {
   console.log(`Загрузка catalog из ${filePath}...`);
-  const codes = readCodesFromFile(filePath);
-  insertCatalog(codes);
-  console.log(`Catalog загружен: ${codes.length} записей`);
+  const count = await streamReferencesFromFile(filePath, insertCatalog);
+  recordReferenceHistory('catalog');
+  console.log(`Catalog загружен: ${count} записей`);
+}
+
+/**
+ * Загрузка дополнительного справочника из файла
+ * @param {string} collection - имя справочника
+ * @param {string} filePath - путь к файлу
+ */
+async function loadCollection(collection, filePath) {
+  console.log(`Загрузка ${collection} из ${filePath}...`);
+  const count = await streamReferencesFromFile(filePath, records => insertReferenceCodes(collection, records));
+  recordReferenceHistory(collection);
+  console.log(`Справочник ${collection} загружен: ${count} записей`);
 }
 
 /**
  * Загрузка всех справочников
  * @param {string} productsFilePath - путь к файлу с products
  * @param {string} catalogFilePath - путь к файлу с catalog
+ * @param {Object<string, string>} extraCollections - дополнительные справочники: имя -> путь к файлу
  */
-function loadAllReferences(productsFilePath, catalogFilePath) {
-  loadProducts(productsFilePath);
-  loadCatalog(catalogFilePath);
+async function loadAllReferences(productsFilePath, catalogFilePath, extraCollections = {}) {
+  await loadProducts(productsFilePath);
+  await loadCatalog(catalogFilePath);
+  
+  for (const [collection, filePath] of Object.entries(extraCollections)) {
+    await loadCollection(collection, filePath);
+  }
 }
 
 module.exports = {
-  readCodesFromFile,
+  toReferenceRecord,
+  streamReferencesFromFile,
   loadProducts,
   loadCatalog,
+  loadCollection,
   loadAllReferences
 };
@@ -5,6 +5,8 @@ const fs = require('fs');
 const path = require('path');
 const { fetchCollections } = require('./api/fetchCollections');
 const { sendResultsToServer } = require('./api/sendResults');
+const { readCrawlCsv } = require('./importers/crawlCsv');
+const config = require('./config');
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -45,110 +47,57 @@ function executeCommand(command, description) {
 }
 
 /**
- * Преобразование CSV в JSON
+ * Импорт ошибок из CSV обхода в data/errors.json
+ * Читаются все CSV файлы из data/, URL объединяются без повторов.
+ * Статусы ошибок и хост сайта задаются настройками импорта (IMPORT_STATUSES, IMPORT_HOST)
  */
-async function convertCsvToJson() {
+async function importCrawlCsv() {
   const dataDir = path.join(__dirname, 'data');
   
-  // Найти первый CSV файл
-  let csvFile = null;
+  let csvFiles = [];
   try {
-    const files = fs.readdirSync(dataDir);
-    csvFile = files.find(file => file.toLowerCase().endsWith('.csv'));
+    csvFiles = fs.readdirSync(dataDir)
+      .filter(file => file.toLowerCase().endsWith('.csv'))
+      .sort()
+      .map(file => path.join(dataDir, file));
     
-    if (!csvFile) {
+    if (csvFiles.length === 0) {
       console.log('✗ CSV файлы не найдены в директории /data');
       return;
     }
     
-    console.log(`✓ Найден CSV файл: ${csvFile}`);
+    console.log(`✓ Найдено CSV файлов: ${csvFiles.length}`);
   } catch (error) {
     console.error(`✗ Ошибка при чтении директории /data: ${error.message}`);
     return;
   }
   
-  const csvPath = path.join(dataDir, csvFile);
-  
   try {
-    // Читаем CSV файл
-    const csvContent = fs.readFileSync(csvPath, 'utf-8');
-    const lines = csvContent.split('\n').filter(line => line.trim());
-    
-    if (lines.length < 2) {
-      console.log('✗ CSV файл пуст или содержит только заголовки');
-      return;
-    }
-    
-    // Парсим заголовки
-    const headers = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-    const urlIndex = headers.indexOf('url');
-    const httpCodeIndex = headers.indexOf('currentHttpCode');
-    
-    if (urlIndex === -1 || httpCodeIndex === -1) {
-      console.log('✗ CSV файл не содержит необходимые колонки (url, currentHttpCode)');
-      return;
-    }
-    
-    // Парсим строки и фильтруем 404 ошибки
-    const errors = [];
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      
-      // Простой парсинг CSV с учетом кавычек
-      const values = [];
-      let currentValue = '';
-      let inQuotes = false;
-      
-      for (let j = 0; j < line.length; j++) {
-        const char = line[j];
-        if (char === '"') {
-          inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-          values.push(currentValue.trim());
-          currentValue = '';
-        } else {
-          currentValue += char;
-        }
-      }
-      values.push(currentValue.trim()); // Последнее значение
-      
-      // Убираем кавычки из значений
-      const cleanValues = values.map(v => v.replace(/^"|"$/g, ''));
-      
-      if (cleanValues.length > httpCodeIndex) {
-        const httpCode = cleanValues[httpCodeIndex];
-        if (httpCode === '404') {
-          const url = cleanValues[urlIndex] || '';
-          if (url) {
-            errors.push({
-              url: `https://frizar.ru${url}`
-            });
-          }
-        }
-      }
-    }
+    const errors = readCrawlCsv(csvFiles, { host: config.import.host, statuses: config.import.statuses });
     
     // Записываем результат в data/errors.json
     const outputPath = path.join(dataDir, 'errors.json');
     fs.writeFileSync(outputPath, JSON.stringify(errors, null, 2), 'utf-8');
     
-    console.log(`✓ Найдено ${errors.length} записей с ошибкой 404`);
+    const byStatus = {};
+    for (const error of errors) {
+      byStatus[error.status] = (byStatus[error.status] || 0) + 1;
+    }
+    const statusInfo = Object.entries(byStatus).map(([status, count]) => `${status}: ${count}`).join(', ');
+    console.log(`✓ Найдено ${errors.length} уникальных URL с ошибками (${statusInfo || 'нет'})`);
     console.log(`✓ Результат записан в ${outputPath}`);
     
   } catch (error) {
-    console.error(`✗ Ошибка при обработке CSV файла: ${error.message}`);
+    console.error(`✗ Ошибка при обработке CSV файлов: ${error.message}`);
   }
 }
 
 /**
  * Очистка данных
+ * БД не удаляется: при полном запуске index.js очищает ее таблицы, а журнал запусков сохраняется
  */
 async function clearData() {
   const filesToDelete = [
-    'redirects.db',
-    'redirects.db-shm',
-    'redirects.db-wal',
     'result.json',
     'data/nest.catalog1cs.json',
     'data/nest.product1cs.json'
@@ -189,24 +138,29 @@ async function main() {
     console.log('\n' + '='.repeat(50));
     console.log('Шаг 1: Очистка данных');
     console.log('='.repeat(50));
-    console.log('⚠ ВНИМАНИЕ: Будут удалены следующие файлы:');
-    console.log('  - redirects.db (и связанные файлы)');
-    console.log('  - result.json');
-    console.log('  - data/nest.catalog1cs.json');
-    console.log('  - data/nest.product1cs.json');
+    console.log('Режимы запуска:');
+    console.log('  1 - Полный: статусы URL и редиректы в БД очищаются (журнал запусков сохраняется)');
+    console.log('  2 - Инкрементальный: перепроверяются только новые и устаревшие статусы,');
+    console.log('      принятые при ручной проверке редиректы не пересчитываются');
+    console.log('В обоих режимах будут удалены result.json, data/nest.catalog1cs.json, data/nest.product1cs.json');
+    console.log('  3 - Выход');
     
+    let incremental = false;
     while (true) {
-      const confirmClear = await askQuestion('\nПродолжить? (1 - Да, 2 - Нет): ');
+      const modeChoice = await askQuestion('\nВыберите режим (1, 2 или 3): ');
       
-      if (confirmClear.trim() === '1') {
+      if (modeChoice.trim() === '1') {
         break;
-      } else if (confirmClear.trim() === '2') {
+      } else if (modeChoice.trim() === '2') {
+        incremental = true;
+        break;
+      } else if (modeChoice.trim() === '3') {
         console.log('Очистка отменена. Программа завершена.');
         rl.close();
         process.exit(0);
         return;
       } else {
-        console.log('⚠ Неверный выбор. Введите 1 или 2.');
+        console.log('⚠ Неверный выбор. Введите 1, 2 или 3.');
       }
     }
     
@@ -225,19 +179,19 @@ async function main() {
       throw error;
     }
         
-    // Шаг 3: Преобразовать CSV в JSON
+    // Шаг 3: Импортировать ошибки из CSV обхода в JSON
     console.log('\n' + '='.repeat(50));
-    console.log('Шаг 3: Преобразование CSV в JSON');
+    console.log('Шаг 3: Импорт ошибок из CSV обхода');
     console.log('='.repeat(50));
     
-    await convertCsvToJson();
+    await importCrawlCsv();
     
     // Шаг 4: Запустить поиск релевантных редиректов
     console.log('\n' + '='.repeat(50));
     console.log('Шаг 4: Поиск релевантных редиректов');
     console.log('='.repeat(50));
     
-    executeCommand('npm start', 'Поиск релевантных редиректов');
+    executeCommand(incremental ? 'npm start -- --incremental' : 'npm start -- --full', 'Поиск релевантных редиректов');
     
     // Шаг 5: Выгрузить результат в файл "result.json"
     console.log('\n' + '='.repeat(50));
@@ -0,0 +1,174 @@
+const os = require('os');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { setTransliterationClasses } = require('./fuzzyMatch');
+const { matchJob } = require('./matcher');
+
+// Количество задач, отправляемых воркеру за один раз
+const CHUNK_SIZE = 50;
+
+/**
+ * Определение количества воркеров
+ * @param {number|string} workers - число воркеров или 'auto' (по числу ядер)
+ * @returns {number} количество воркеров (не меньше 1)
+ */
+function resolveWorkerCount(workers) {
+  if (workers === 'auto') {
+    return Math.max(1, os.cpus().length);
+  }
+
+  const count = parseInt(workers, 10);
+  return isNaN(count) || count < 1 ? 1 : count;
+}
+
+/**
+ * Пул воркеров (worker_threads) для сопоставления задач
+ * Воркеры запускаются один раз и получают справочники один раз при запуске, поэтому пул создается
+ * на весь прогон, а пачки задач передаются ему через match. Задачи отправляются воркерам
+ * по CHUNK_SIZE, результаты раскладываются по индексам задач, поэтому порядок и содержимое
+ * совпадают с последовательным matchJobs.
+ * @param {Object<string, Array<{code: string}>>} references - справочники по именам
+ * @param {Object} matchOptions - опции поиска
+ * @param {Object} options - опции пула
+ * @param {number} options.workers - количество воркеров
+ * @param {Array<Array<string>>|null} options.transliterationClasses - классы транслитерации для воркеров
+ * @returns {{size: number, match: Function, close: Function}} количество воркеров,
+ * match(jobs) - сопоставление пачки задач (Promise результатов в порядке задач), close() - остановка воркеров
+ */
+function createMatchPool(references, matchOptions, options = {}) {
+  const size = resolveWorkerCount(options.workers);
+  const workers = [];
+  // Текущая пачка: задачи, результаты, следующая неотправленная задача и обработчики Promise
+  let batch = null;
+  let poolError = null;
+  let closed = false;
+
+  const fail = (error) => {
+    if (poolError) return;
+    poolError = error;
+    for (const worker of workers) {
+      worker.terminate();
+    }
+    if (batch) {
+      batch.reject(error);
+      batch = null;
+    }
+  };
+
+  const sendChunk = (worker) => {
+    if (!batch || batch.nextStart >= batch.jobs.length) return;
+
+    const start = batch.nextStart;
+    batch.nextStart += CHUNK_SIZE;
+    worker.postMessage({ start, jobs: batch.jobs.slice(start, start + CHUNK_SIZE) });
+  };
+
+  console.log(`Запуск ${size} воркеров`);
+  for (let i = 0; i < size; i++) {
+    const worker = new Worker(__filename, {
+      workerData: {
+        references,
+        matchOptions,
+        transliterationClasses: options.transliterationClasses || null
+      }
+    });
+
+    worker.on('message', ({ start, results: chunkResults }) => {
+      if (!batch) return;
+
+      chunkResults.forEach((result, offset) => {
+        batch.results[start + offset] = result;
+      });
+      const before = batch.completed;
+      batch.completed += chunkResults.length;
+
+      if (Math.floor(batch.completed / 100) !== Math.floor(before / 100)) {
+        console.log(`Сопоставлено ${batch.completed}/${batch.jobs.length} URL`);
+      }
+
+      if (batch.completed === batch.jobs.length) {
+        const done = batch;
+        batch = null;
+        done.resolve(done.results);
+      } else {
+        sendChunk(worker);
+      }
+    });
+
+    worker.on('error', (error) => fail(error));
+    worker.on('exit', (code) => {
+      if (!closed) {
+        fail(new Error(`Воркер завершился с кодом ${code}`));
+      }
+    });
+
+    workers.push(worker);
+  }
+
+  return {
+    size,
+    match(jobs) {
+      if (poolError) {
+        return Promise.reject(poolError);
+      }
+      if (batch) {
+        return Promise.reject(new Error('Пул воркеров уже выполняет сопоставление'));
+      }
+
+      const results = new Array(jobs.length);
+      if (jobs.length === 0) {
+        return Promise.resolve(results);
+      }
+
+      return new Promise((resolve, reject) => {
+        batch = { jobs, results, nextStart: 0, completed: 0, resolve, reject };
+        for (const worker of workers) {
+          sendChunk(worker);
+        }
+      });
+    },
+    async close() {
+      closed = true;
+      await Promise.all(workers.map(worker => worker.terminate()));
+    }
+  };
+}
+
+/**
+ * Параллельное сопоставление задач во временном пуле воркеров (см. createMatchPool)
+ * @param {Array<Object>} jobs - задачи (см. matchJob в matcher.js)
+ * @param {Object<string, Array<{code: string}>>} references - справочники по именам
+ * @param {Object} matchOptions - опции поиска
+ * @param {Object} options - опции пула (см. createMatchPool)
+ * @returns {Promise<Array<{classification: Object, matches: Array<Object>}>>} результаты в порядке задач
+ */
+async function matchJobsParallel(jobs, references, matchOptions, options = {}) {
+  if (jobs.length === 0) {
+    return [];
+  }
+
+  const workers = Math.min(resolveWorkerCount(options.workers), Math.ceil(jobs.length / CHUNK_SIZE));
+  const pool = createMatchPool(references, matchOptions, { ...options, workers });
+  try {
+    return await pool.match(jobs);
+  } finally {
+    await pool.close();
+  }
+}
+
+// Код воркера: получает пачку задач и возвращает результат сопоставления для каждой
+if (!isMainThread && workerData && workerData.references) {
+  if (workerData.transliterationClasses) {
+    setTransliterationClasses(workerData.transliterationClasses);
+  }
+
+  parentPort.on('message', ({ start, jobs }) => {
+    const results = jobs.map(job => matchJob(job, workerData.references, workerData.matchOptions));
+    parentPort.postMessage({ start, results });
+  });
+}
+
+module.exports = {
+  resolveWorkerCount,
+  createMatchPool,
+  matchJobsParallel
+};
@@ -0,0 +1,435 @@
+const { findTopMatchesOptimized, findBestMatchOptimized, tokenize, slugify, calculateSimilarity } = require('./fuzzyMatch');
+
+// Во сколько раз больше кандидатов запрашивать для пересортировки с учетом родительских категорий и названий
+const CONTEXT_POOL_FACTOR = 3;
+
+// Минимальная длина токена родительской категории (короткие предлоги "s", "iz", "dlya" не учитываются)
+const MIN_CONTEXT_TOKEN_LENGTH = 3;
+
+// Индексы записей справочников по коду и id 1С (строятся один раз для каждого массива справочника)
+const referenceIndexCache = new WeakMap();
+
+/**
+ * Индекс записей справочника по коду и id 1С
+ * @param {Array<{code: string, external_id: string|null}>} rows - записи справочника
+ * @returns {{byCode: Map<string, Object>, byExternalId: Map<string, Object>}}
+ */
+function getReferenceIndex(rows) {
+  let index = referenceIndexCache.get(rows);
+  if (!index) {
+    index = { byCode: new Map(), byExternalId: new Map() };
+    for (const row of rows) {
+      index.byCode.set(row.code, row);
+      if (row.external_id) {
+        index.byExternalId.set(row.external_id, row);
+      }
+    }
+    referenceIndexCache.set(rows, index);
+  }
+  return index;
+}
+
+/**
+ * Токены родительских сегментов пути, которых нет в самом коде
+ * @param {Array<string>} parents - родительские сегменты пути
+ * @param {string} code - код страницы
+ * @returns {Array<string>} уникальные токены контекста
+ */
+function getContextTokens(parents, code) {
+  const codeTokens = new Set(tokenize(code));
+  const context = new Set();
+
+  for (const parent of parents) {
+    for (const token of tokenize(parent)) {
+      if (token.length >= MIN_CONTEXT_TOKEN_LENGTH && !codeTokens.has(token)) {
+        context.add(token);
+      }
+    }
+  }
+
+  return [...context];
+}
+
+/**
+ * Учет родительских категорий: кандидаты, содержащие токены родительских сегментов
+ * (категория, бренд), получают бонус пропорционально доле совпавших токенов
+ * Бонус сокращает разрыв до 100%, поэтому точное совпадение остается 100%
+ * @param {Array<Object>} matches - кандидаты по убыванию процента
+ * @param {Array<string>} contextTokens - токены родительских сегментов
+ * @param {number} contextWeight - вес контекста (0-1)
+ * @param {Map<string, Object>} rowsByCode - записи справочника кандидатов по коду: бренд записи
+ * считается частью кода кандидата
+ * @returns {Array<Object>} кандидаты, пересортированные по новому проценту
+ */
+function applyParentContext(matches, contextTokens, contextWeight, rowsByCode = new Map()) {
+  if (contextTokens.length === 0 || contextWeight <= 0) {
+    return matches;
+  }
+
+  const rescored = matches.map(match => {
+    const row = rowsByCode.get(match.code);
+    const candidateTokens = new Set([...tokenize(match.code), ...tokenize(slugify(row && row.brand))]);
+    const matched = contextTokens.filter(token => candidateTokens.has(token));
+    const bonus = contextWeight * (100 - match.percent) * (matched.length / contextTokens.length);
+
+    return {
+      ...match,
+      percent: match.percent + bonus,
+      details: {
+        ...match.details,
+        context: { tokens: contextTokens, matched, bonus }
+      }
+    };
+  });
+
+  // Сортировка устойчивая: при равных процентах сохраняется исходный порядок
+  return rescored.sort((a, b) => b.percent - a.percent);
+}
+
+/**
+ * Учет названий записей справочника: название транслитерируется (см. slugify) и сравнивается
+ * с кодом страницы. Если название ближе к коду, чем код кандидата (например, slug устарел,
+ * а название осталось прежним), кандидат получает бонус nameWeight × разница процентов
+ * Штраф за числа и артикулы применяется и к проценту названия
+ * @param {Array<Object>} matches - кандидаты по убыванию процента
+ * @param {string} code - код страницы
+ * @param {Map<string, Object>} rowsByCode - записи справочника кандидатов по коду
+ * @param {number} nameWeight - вес названия (0-1)
+ * @returns {Array<Object>} кандидаты, пересортированные по новому проценту
+ */
+function applyNameSignal(matches, code, rowsByCode, nameWeight) {
+  if (nameWeight <= 0) {
+    return matches;
+  }
+
+  const rescored = matches.map(match => {
+    const row = rowsByCode.get(match.code);
+    const slug = slugify(row && row.name);
+    if (!slug) {
+      return match;
+    }
+
+    const penalty = match.details && match.details.penalty !== undefined ? match.details.penalty : 1;
+    const namePercent = calculateSimilarity(code, slug) * penalty;
+    const bonus = nameWeight * Math.max(0, namePercent - match.percent);
+
+    return {
+      ...match,
+      percent: match.percent + bonus,
+      details: {
+        ...match.details,
+        name: { slug, percent: namePercent, bonus }
+      }
+    };
+  });
+
+  return rescored.sort((a, b) => b.percent - a.percent);
+}
+
+/**
+ * Поиск ближайшей существующей родительской категории
+ * Родительские сегменты проверяются от ближайшего к корню
+ * @param {Array<string>} parents - родительские сегменты пути
+ * @param {Array<{code: string}>} catalog - справочник каталогов
+ * @param {Object} searchOptions - опции поиска
+ * @param {number} minPercent - минимальный процент соответствия сегмента категории
+ * @returns {Object|null} кандидат с type 'catalog' или null
+ */
+function findAncestorMatch(parents, catalog, searchOptions, minPercent) {
+  for (let i = parents.length - 1; i >= 0; i--) {
+    const match = findBestMatchOptimized(parents[i], catalog, searchOptions);
+
+    if (match && match.percent >= minPercent) {
+      return {
+        ...match,
+        type: 'catalog',
+        details: { ...match.details, segment: parents[i] }
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Определение категории товара
+ * Категория берется из родительской категории записи товара (parent_code - код или id 1С записи catalog).
+ * Если ее нет (выгрузка только с кодами) или она неактивна, категорией считается наиболее похожий
+ * по словам код из catalog
+ * @param {string} productCode - код товара
+ * @param {Object<string, Array<Object>>} references - справочники по именам (products, catalog)
+ * @param {Object} searchOptions - опции поиска
+ * @returns {{code: string, source: string}|null} код категории и способ определения ('parent' или 'similarity') или null
+ */
+function resolveProductCategory(productCode, references, searchOptions) {
+  const catalog = references.catalog || [];
+  const product = getReferenceIndex(references.products || []).byCode.get(productCode);
+
+  if (product && product.parent_code) {
+    const catalogIndex = getReferenceIndex(catalog);
+    const parent = catalogIndex.byCode.get(product.parent_code) || catalogIndex.byExternalId.get(product.parent_code);
+    if (parent) {
+      return { code: parent.code, source: 'parent' };
+    }
+  }
+
+  const match = findBestMatchOptimized(productCode, catalog, {
+    ...searchOptions,
+    scorer: 'token',
+    numeric: { mode: 'off' },
+    limit: 1
+  });
+
+  return match ? { code: match.code, source: 'similarity' } : null;
+}
+
+/**
+ * Категория, к которой относится большинство похожих товаров
+ * Голос каждого товара взвешивается его процентом соответствия. Процент кандидата - средний процент
+ * соответствия товаров, проголосовавших за категорию (взвешенный их голосами), доля голосов - в details
+ * @param {Array<Object>} productMatches - похожие товары по убыванию процента
+ * @param {Object<string, Array<Object>>} references - справочники по именам (products, catalog)
+ * @param {Object} searchOptions - опции поиска
+ * @returns {Object|null} кандидат с type 'catalog' или null
+ */
+function findSimilarProductsCategory(productMatches, references, searchOptions) {
+  const votes = new Map();
+  // Сумма квадратов процентов товаров по категориям: средний процент, взвешенный голосами, = squares / weight
+  const squares = new Map();
+  const resolvedBy = { parent: 0, similarity: 0 };
+  let totalWeight = 0;
+
+  for (const match of productMatches) {
+    const category = resolveProductCategory(match.code, references, searchOptions);
+    if (!category) continue;
+
+    resolvedBy[category.source]++;
+    votes.set(category.code, (votes.get(category.code) || 0) + match.percent);
+    squares.set(category.code, (squares.get(category.code) || 0) + match.percent * match.percent);
+    totalWeight += match.percent;
+  }
+
+  let best = null;
+  for (const [category, weight] of votes) {
+    if (!best || weight > best.weight) {
+      best = { category, weight };
+    }
+  }
+
+  if (!best || totalWeight === 0) {
+    return null;
+  }
+
+  return {
+    code: best.category,
+    type: 'catalog',
+    percent: squares.get(best.category) / best.weight,
+    details: {
+      products: productMatches.map(match => match.code),
+      votes: Object.fromEntries(votes),
+      // Доля голосов похожих товаров за выбранную категорию
+      voteShare: (best.weight / totalWeight) * 100,
+      resolvedBy
+    }
+  };
+}
+
+/**
+ * Поисковый запрос из слов slug (без чисел и коротких токенов)
+ * @param {string} code - код страницы (уже декодированный, см. matchRoute в routes.js)
+ * @returns {Object|null} кандидат с type 'search' (code - текст запроса) или null
+ */
+function buildSearchFallback(code) {
+  const words = code
+    .toLowerCase()
+    .split(/[_\-\s]+/)
+    .filter(word => word.length >= MIN_CONTEXT_TOKEN_LENGTH && !/\d/.test(word));
+
+  if (words.length === 0) {
+    return null;
+  }
+
+  return {
+    code: words.join(' '),
+    type: 'search',
+    percent: 0,
+    details: { words }
+  };
+}
+
+/**
+ * Стратегии подбора редиректа по порядку применения
+ * Каждая стратегия возвращает кандидата или null, если не сработала
+ * - match: уверенное совпадение (процент >= minPercent) в справочнике своего типа
+ * - ancestor: ближайшая существующая родительская категория из пути URL
+ * - similar_products: категория, к которой относится большинство похожих товаров
+ *   (учитываются товары с процентом >= similarMinPercent)
+ * - search: страница поиска по словам slug
+ */
+const FALLBACK_STRATEGIES = {
+  match: ({ matches, minPercent }) =>
+    matches.length > 0 && matches[0].percent >= minPercent ? matches[0] : null,
+  ancestor: ({ job, references, searchOptions, minPercent }) =>
+    job.parents && job.parents.length > 0
+      ? findAncestorMatch(job.parents, references.catalog, { ...searchOptions, limit: 1 }, minPercent)
+      : null,
+  similar_products: ({ job, matches, references, searchOptions, similarMinPercent }) => {
+    const similar = matches.filter(match => match.percent >= similarMinPercent);
+    return job.type === 'products' && similar.length > 0
+      ? findSimilarProductsCategory(similar, references, searchOptions)
+      : null;
+  },
+  search: ({ job }) => buildSearchFallback(job.code)
+};
+
+/**
+ * Результат для переименованной записи: код сменился у той же записи 1С, новый код известен точно
+ * @param {{code: string, rule: string, collection: string, rename: {code: string, externalId: string}}} job - задача
+ * @returns {{classification: Object, matches: Array<Object>}} единственный кандидат со стратегией rename и 100%
+ */
+function matchRename(job) {
+  return {
+    classification: { type: job.collection, scores: {}, rule: job.rule },
+    matches: [{
+      code: job.rename.code,
+      type: job.collection,
+      strategy: 'rename',
+      percent: 100,
+      details: { externalId: job.rename.externalId, previousCode: job.code }
+    }]
+  };
+}
+
+/**
+ * Выбор справочника целевой страницы (например, товар или категория)
+ * Сравниваются лучшие совпадения в справочниках правила, к проценту основного справочника
+ * правила добавляется typePrior. При равенстве выбирается основной справочник.
+ * @param {string} primary - основной справочник правила маршрута
+ * @param {Object<string, Array<Object>>} matchesByCollection - кандидаты по справочникам
+ * @param {number} typePrior - бонус основного справочника (в процентных пунктах)
+ * @returns {{type: string, scores: Object<string, number>}} выбранный справочник и лучшие проценты по справочникам
+ */
+function classifyTargetType(primary, matchesByCollection, typePrior) {
+  const scores = {};
+  let type = primary;
+  let bestScore = -Infinity;
+
+  for (const [collection, matches] of Object.entries(matchesByCollection)) {
+    scores[collection] = matches.length > 0 ? matches[0].percent : 0;
+
+    const adjusted = scores[collection] + (collection === primary ? typePrior : 0);
+    if (adjusted > bestScore || (adjusted === bestScore && collection === primary)) {
+      bestScore = adjusted;
+      type = collection;
+    }
+  }
+
+  return { type, scores };
+}
+
+/**
+ * Поиск кандидатов для одной задачи сопоставления
+ * Slug сравнивается с основным и альтернативными справочниками правила маршрута, справочник
+ * целевой страницы выбирается классификатором (см. classifyTargetType). Родительские сегменты
+ * пути повышают кандидатов из той же категории/бренда, название записи справочника, близкое к slug, -
+ * кандидатов с устаревшим кодом (см. applyNameSignal). Неактивные записи исключаются из справочников до поиска.
+ * Переименованные записи (job.rename, см. getRenamedCode в db.js) не ищутся: результат - новый код со стратегией rename.
+ * Для остальных по порядку применяются стратегии (см. FALLBACK_STRATEGIES) до первой сработавшей:
+ * ее кандидат становится первым, остальные кандидаты остаются для ручной проверки.
+ * Если не сработала ни одна стратегия, первым остается лучший (неуверенный) кандидат со стратегией match.
+ * @param {{code: string, rule: string, collection: string, alternatives: Array<string>, parents: Array<string>,
+ * rename: Object|null}} job - задача: код для поиска, имя правила маршрута, основной и альтернативные справочники,
+ * родительские сегменты пути и новый код переименованной записи
+ * @param {Object<string, Array<{code: string}>>} references - справочники по именам (products, catalog, ...)
+ * @param {Object} matchOptions - опции поиска (см. findTopMatches в fuzzyMatch.js), а также
+ * minPercent - порог уверенного совпадения, contextWeight - вес родительских категорий (0-1),
+ * nameWeight - вес названий записей справочника (0-1),
+ * similarMinPercent - минимальный процент похожего товара для стратегии similar_products,
+ * typePrior - бонус основного справочника правила и strategies - порядок стратегий
+ * (по умолчанию все стратегии FALLBACK_STRATEGIES)
+ * @returns {{classification: Object, matches: Array<{code: string, type: string, strategy: string, percent: number, details: Object}>}}
+ * решение классификатора и кандидаты, первый - выбранный (type - имя справочника или 'search')
+ */
+function matchJob(job, references, matchOptions) {
+  if (job.rename) {
+    return matchRename(job);
+  }
+
+  const {
+    minPercent = 0,
+    contextWeight = 0,
+    nameWeight = 0,
+    similarMinPercent = 0,
+    typePrior = 0,
+    strategies = Object.keys(FALLBACK_STRATEGIES),
+    ...searchOptions
+  } = matchOptions;
+  const limit = searchOptions.limit || 5;
+  const contextTokens = getContextTokens(job.parents || [], job.code);
+  const rescored = (contextTokens.length > 0 && contextWeight > 0) || nameWeight > 0;
+  const poolSize = rescored ? limit * CONTEXT_POOL_FACTOR : limit;
+
+  const matchesByCollection = {};
+  for (const collection of [job.collection, ...(job.alternatives || [])]) {
+    matchesByCollection[collection] = findTopMatchesOptimized(job.code, references[collection] || [], {
+      ...searchOptions,
+      limit: poolSize
+    });
+  }
+
+  const classification = {
+    ...classifyTargetType(job.collection, matchesByCollection, typePrior),
+    rule: job.rule
+  };
+  const target = { ...job, type: classification.type };
+
+  const rowsByCode = getReferenceIndex(references[target.type] || []).byCode;
+  let matches = matchesByCollection[target.type].map(match => ({ ...match, type: target.type, strategy: 'match' }));
+  matches = applyNameSignal(matches, job.code, rowsByCode, nameWeight);
+  matches = applyParentContext(matches, contextTokens, contextWeight, rowsByCode).slice(0, limit);
+
+  for (const name of strategies) {
+    const strategy = FALLBACK_STRATEGIES[name];
+    if (!strategy) {
+      throw new Error(`Неизвестная стратегия подбора редиректа: ${name}. Доступны: ${Object.keys(FALLBACK_STRATEGIES).join(', ')}`);
+    }
+
+    const candidate = strategy({ job: target, matches, references, searchOptions, minPercent, similarMinPercent });
+    if (!candidate) continue;
+
+    if (name !== 'match') {
+      matches = [{ ...candidate, strategy: name }, ...matches].slice(0, limit);
+    }
+    break;
+  }
+
+  return { classification, matches };
+}
+
+/**
+ * Последовательное сопоставление списка задач
+ * @param {Array<Object>} jobs - задачи (см. matchJob)
+ * @param {Object<string, Array<{code: string}>>} references - справочники по именам
+ * @param {Object} matchOptions - опции поиска
+ * @returns {Array<{classification: Object, matches: Array<Object>}>} результаты в порядке задач
+ */
+function matchJobs(jobs, references, matchOptions) {
+  const results = [];
+
+  for (const job of jobs) {
+    results.push(matchJob(job, references, matchOptions));
+
+    if (results.length % 100 === 0) {
+      console.log(`Сопоставлено ${results.length}/${jobs.length} URL`);
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  FALLBACK_STRATEGIES,
+  classifyTargetType,
+  matchJob,
+  matchJobs
+};
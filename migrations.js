@@ -0,0 +1,398 @@
+/**
+ * Миграции схемы БД
+ * Каждая миграция выполняется один раз, номер примененной версии хранится в таблице schema_version.
+ * Новые изменения схемы добавляются в конец списка со следующим номером версии,
+ * уже примененные миграции не изменяются.
+ * Миграции идемпотентны: БД, созданные до появления schema_version, обновляются без потери данных.
+ */
+
+/**
+ * Проверка наличия колонки в таблице
+ * @param {Database} db - экземпляр БД
+ * @param {string} table - имя таблицы
+ * @param {string} column - имя колонки
+ * @returns {boolean} true, если колонка есть
+ */
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(info => info.name === column);
+}
+
+/**
+ * Добавление колонки, если ее еще нет
+ * @param {Database} db - экземпляр БД
+ * @param {string} table - имя таблицы
+ * @param {string} column - имя колонки
+ * @param {string} definition - тип и ограничения колонки (например, "TEXT" или "INTEGER NOT NULL DEFAULT 0")
+ */
+function addColumn(db, table, column, definition) {
+  if (!hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Список миграций по возрастанию версии
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Базовая схема: actualStatus, products, catalog, redirects',
+    up: (db) => db.exec(`
+      CREATE TABLE IF NOT EXISTS actualStatus (
+        url TEXT UNIQUE NOT NULL,
+        status INTEGER,
+        final_url TEXT,
+        PRIMARY KEY (url)
+      );
+      CREATE INDEX IF NOT EXISTS idx_actualStatus_url ON actualStatus(url);
+      CREATE INDEX IF NOT EXISTS idx_actualStatus_final_url ON actualStatus(final_url);
+
+      CREATE TABLE IF NOT EXISTS products (
+        code TEXT UNIQUE NOT NULL,
+        PRIMARY KEY (code)
+      );
+      CREATE INDEX IF NOT EXISTS idx_products_code ON products(code);
+
+      CREATE TABLE IF NOT EXISTS catalog (
+        code TEXT UNIQUE NOT NULL,
+        PRIMARY KEY (code)
+      );
+      CREATE INDEX IF NOT EXISTS idx_catalog_code ON catalog(code);
+
+      CREATE TABLE IF NOT EXISTS redirects (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        from_url TEXT NOT NULL,
+        to_url TEXT NOT NULL,
+        percent REAL NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_redirects_from ON redirects(from_url);
+    `)
+  },
+  {
+    version: 2,
+    description: 'Разбор оценки, кандидаты и стратегии подбора редиректов',
+    up: (db) => {
+      addColumn(db, 'redirects', 'score_details', 'TEXT');
+      addColumn(db, 'redirects', 'rank', 'INTEGER NOT NULL DEFAULT 1');
+      addColumn(db, 'redirects', 'strategy', "TEXT NOT NULL DEFAULT 'match'");
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS redirect_candidates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          from_url TEXT NOT NULL,
+          rank INTEGER NOT NULL,
+          to_url TEXT NOT NULL,
+          percent REAL NOT NULL,
+          score_details TEXT,
+          strategy TEXT NOT NULL DEFAULT 'match',
+          UNIQUE (from_url, rank)
+        );
+        CREATE INDEX IF NOT EXISTS idx_redirect_candidates_from ON redirect_candidates(from_url);
+      `);
+    }
+  },
+  {
+    version: 3,
+    description: 'Решение классификатора типа страницы в redirects',
+    up: (db) => {
+      addColumn(db, 'redirects', 'url_type', 'TEXT');
+      addColumn(db, 'redirects', 'target_type', 'TEXT');
+      addColumn(db, 'redirects', 'product_score', 'REAL');
+      addColumn(db, 'redirects', 'catalog_score', 'REAL');
+    }
+  },
+  {
+    version: 4,
+    description: 'Дополнительные справочники из routes.json',
+    up: (db) => db.exec(`
+      CREATE TABLE IF NOT EXISTS reference_codes (
+        collection TEXT NOT NULL,
+        code TEXT NOT NULL,
+        PRIMARY KEY (collection, code)
+      );
+    `)
+  },
+  {
+    version: 5,
+    description: 'Инкрементальный запуск: время проверки статуса, хэш входных данных и принятые редиректы',
+    up: (db) => {
+      addColumn(db, 'actualStatus', 'checked_at', 'TEXT');
+      addColumn(db, 'redirects', 'input_hash', 'TEXT');
+      addColumn(db, 'redirects', 'accepted', 'INTEGER NOT NULL DEFAULT 0');
+    }
+  },
+  {
+    version: 6,
+    description: 'Журнал запусков и снимки редиректов по запускам',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          started_at TEXT NOT NULL DEFAULT (datetime('now')),
+          finished_at TEXT,
+          status TEXT NOT NULL DEFAULT 'running',
+          mode TEXT,
+          input_hashes TEXT,
+          reference_counts TEXT,
+          settings TEXT,
+          stats TEXT,
+          error TEXT
+        );
+        CREATE TABLE IF NOT EXISTS run_redirects (
+          run_id INTEGER NOT NULL,
+          from_url TEXT NOT NULL,
+          to_url TEXT NOT NULL,
+          percent REAL NOT NULL,
+          strategy TEXT,
+          PRIMARY KEY (run_id, from_url)
+        );
+      `);
+      addColumn(db, 'redirects', 'run_id', 'INTEGER');
+    }
+  },
+  {
+    version: 7,
+    description: 'Проверка целевых URL редиректов',
+    up: (db) => {
+      addColumn(db, 'redirects', 'target_status', 'INTEGER');
+      addColumn(db, 'redirects', 'target_final_url', 'TEXT');
+      addColumn(db, 'redirects', 'target_checked_at', 'TEXT');
+    }
+  },
+  {
+    version: 8,
+    description: 'Существующие редиректы сайта из CSV обхода',
+    up: (db) => db.exec(`
+      CREATE TABLE IF NOT EXISTS site_redirects (
+        from_url TEXT PRIMARY KEY,
+        csv_status INTEGER,
+        to_url TEXT,
+        status INTEGER,
+        checked_at TEXT
+      );
+    `)
+  },
+  {
+    version: 9,
+    description: 'Цепочки редиректов при проверке статусов URL',
+    up: (db) => db.exec(`
+      CREATE TABLE IF NOT EXISTS redirect_hops (
+        url TEXT NOT NULL,
+        hop INTEGER NOT NULL,
+        hop_url TEXT NOT NULL,
+        status INTEGER NOT NULL,
+        location TEXT,
+        PRIMARY KEY (url, hop)
+      );
+    `)
+  },
+  {
+    version: 10,
+    description: 'Время ответа, класс ошибки и количество попыток проверки статуса URL',
+    up: (db) => {
+      addColumn(db, 'actualStatus', 'response_time_ms', 'INTEGER');
+      addColumn(db, 'actualStatus', 'error_class', 'TEXT');
+      addColumn(db, 'actualStatus', 'attempts', 'INTEGER');
+    }
+  },
+  {
+    version: 11,
+    description: 'Кэш результатов HTTP проверок',
+    up: (db) => db.exec(`
+      CREATE TABLE IF NOT EXISTS http_cache (
+        url TEXT PRIMARY KEY,
+        status INTEGER NOT NULL,
+        final_url TEXT,
+        chain TEXT,
+        response_time_ms INTEGER,
+        attempts INTEGER,
+        checked_at TEXT NOT NULL
+      );
+    `)
+  },
+  {
+    version: 12,
+    description: 'Источник статуса URL (HTTP проверка или CSV обхода) и предыдущий статус из CSV',
+    up: (db) => {
+      addColumn(db, 'actualStatus', 'status_source', 'TEXT');
+      addColumn(db, 'actualStatus', 'prev_status', 'INTEGER');
+    }
+  },
+  {
+    version: 13,
+    description: 'Источники ошибок: CSV обхода, access логи, Search Console, sitemap',
+    up: (db) => db.exec(`
+      CREATE TABLE IF NOT EXISTS error_sources (
+        url TEXT NOT NULL,
+        source TEXT NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 1,
+        last_seen TEXT,
+        reported_status INTEGER,
+        PRIMARY KEY (url, source)
+      );
+    `)
+  },
+  {
+    version: 14,
+    description: 'Справочники: id 1С, название, родительская категория, бренд и признак активности',
+    up: (db) => {
+      for (const table of ['products', 'catalog', 'reference_codes']) {
+        addColumn(db, table, 'external_id', 'TEXT');
+        addColumn(db, table, 'name', 'TEXT');
+        addColumn(db, table, 'parent_code', 'TEXT');
+        addColumn(db, table, 'brand', 'TEXT');
+        addColumn(db, table, 'active', 'INTEGER NOT NULL DEFAULT 1');
+      }
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_products_external_id ON products(external_id);
+        CREATE INDEX IF NOT EXISTS idx_catalog_external_id ON catalog(external_id);
+      `);
+    }
+  },
+  {
+    version: 15,
+    description: 'История кодов записей справочников по id 1С',
+    up: (db) => db.exec(`
+      CREATE TABLE IF NOT EXISTS reference_history (
+        collection TEXT NOT NULL,
+        external_id TEXT NOT NULL,
+        code TEXT NOT NULL,
+        first_seen TEXT NOT NULL,
+        last_seen TEXT NOT NULL,
+        PRIMARY KEY (collection, external_id, code)
+      );
+      CREATE INDEX IF NOT EXISTS idx_reference_history_code ON reference_history(collection, code);
+
+      CREATE TABLE IF NOT EXISTS reference_snapshots (
+        date TEXT PRIMARY KEY,
+        recorded_at TEXT NOT NULL
+      );
+    `)
+  },
+  {
+    version: 16,
+    description: 'Один редирект на исходный URL: удаление дублей и уникальный индекс redirects(from_url)',
+    up: (db) => db.exec(`
+      DELETE FROM redirects WHERE id NOT IN (
+        SELECT id FROM (
+          SELECT id, ROW_NUMBER() OVER (PARTITION BY from_url ORDER BY accepted DESC, id DESC) AS position
+          FROM redirects
+        ) WHERE position = 1
+      );
+      DROP INDEX IF EXISTS idx_redirects_from;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_redirects_from_url ON redirects(from_url);
+    `)
+  },
+  {
+    version: 17,
+    description: 'Импортированные сравнения снимков справочников',
+    up: (db) => db.exec(`
+      CREATE TABLE IF NOT EXISTS reference_diffs (
+        previous_snapshot TEXT NOT NULL,
+        current_snapshot TEXT NOT NULL,
+        urls INTEGER NOT NULL,
+        imported_at TEXT NOT NULL,
+        PRIMARY KEY (previous_snapshot, current_snapshot)
+      );
+    `)
+  },
+  {
+    version: 18,
+    description: 'Ключ продолжения прерванного запуска: входные данные проверки статусов',
+    up: (db) => addColumn(db, 'runs', 'resume_key', 'TEXT')
+  }
+];
+
+/**
+ * Текущая версия схемы БД
+ * @param {Database} db - экземпляр БД
+ * @returns {number} номер последней примененной миграции (0 - миграции не применялись)
+ */
+function getSchemaVersion(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      description TEXT,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `);
+  return db.prepare('SELECT COALESCE(MAX(version), 0) AS version FROM schema_version').get().version;
+}
+
+/**
+ * Применение миграций, версия которых выше текущей
+ * Каждая миграция выполняется в отдельной транзакции вместе с записью в schema_version
+ * @param {Database} db - экземпляр БД
+ * @param {Array<{version: number, description: string, up: Function}>} migrations - миграции (по умолчанию MIGRATIONS)
+ * @returns {{from: number, to: number}} версия схемы до и после обновления
+ */
+function migrate(db, migrations = MIGRATIONS) {
+  const from = getSchemaVersion(db);
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+  if (from > latest) {
+    throw new Error(`Версия схемы БД (${from}) новее поддерживаемой (${latest}). Обновите проект`);
+  }
+
+  const record = db.prepare('INSERT INTO schema_version (version, description) VALUES (?, ?)');
+  for (const migration of migrations) {
+    if (migration.version <= from) continue;
+
+    db.transaction(() => {
+      migration.up(db);
+      record.run(migration.version, migration.description);
+    })();
+    console.log(`Миграция схемы БД ${migration.version}: ${migration.description}`);
+  }
+
+  return { from, to: Math.max(from, latest) };
+}
+
+/**
+ * Список примененных миграций
+ * @param {Database} db - экземпляр БД
+ * @returns {Array<{version: number, description: string, applied_at: string}>}
+ */
+function getAppliedMigrations(db) {
+  getSchemaVersion(db);
+  return db.prepare('SELECT version, description, applied_at FROM schema_version ORDER BY version').all();
+}
+
+/**
+ * Основная функция: вывод версии схемы БД
+ * Использование: node migrations.js [путь к БД]
+ * initDatabase применяет недостающие миграции автоматически
+ */
+function main() {
+  require('dotenv').config();
+  const { initDatabase, closeDatabase } = require('./db');
+
+  try {
+    const db = initDatabase(process.argv[2]);
+    const applied = getAppliedMigrations(db);
+    const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    console.log(`Версия схемы БД: ${getSchemaVersion(db)} (последняя: ${latest})`);
+    for (const migration of applied) {
+      console.log(`  ${migration.version}. ${migration.description} (${migration.applied_at})`);
+    }
+  } catch (error) {
+    console.error('Ошибка:', error);
+    process.exitCode = 1;
+  } finally {
+    closeDatabase();
+  }
+}
+
+// Экспорт до запуска: db.js подключает этот модуль, когда он запущен как скрипт
+module.exports = {
+  MIGRATIONS,
+  addColumn,
+  getSchemaVersion,
+  getAppliedMigrations,
+  migrate
+};
+
+// Запуск
+if (require.main === module) {
+  main();
+}
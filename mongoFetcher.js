@@ -0,0 +1,288 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { MongoClient } = require('mongodb');
+const config = require('./config');
+const {
+  initDatabase,
+  closeDatabase,
+  clearTables,
+  runInTransaction,
+  insertProducts,
+  insertCatalog,
+  recordReferenceHistory
+} = require('./db');
+const { toReferenceRecord } = require('./loadReferences');
+const { SNAPSHOT_FILES, saveSnapshot } = require('./referenceSnapshots');
+const { openSshTunnel } = require('./sshTunnel');
+
+// Выгружаемые справочники и вставка их записей в БД
+const REFERENCE_INSERTS = {
+  products: insertProducts,
+  catalog: insertCatalog
+};
+
+// Коды ошибок сервера MongoDB: аутентификация и права доступа
+const AUTH_FAILED = 18;
+const UNAUTHORIZED = 13;
+
+/**
+ * Строка подключения без пароля (для сообщений)
+ * @param {string} uri - строка подключения
+ * @returns {string}
+ */
+function maskUri(uri) {
+  return uri.replace(/\/\/([^:@/]+):[^@/]*@/, '//$1:***@');
+}
+
+/**
+ * Проекция выгрузки: код и поля записей справочников (config.references.fields), без _id,
+ * если id 1С хранится не в нем
+ * @param {Object} fields - пути к полям
+ * @returns {Object<string, number>} проекция MongoDB
+ */
+function buildProjection(fields) {
+  const projection = { code: 1 };
+  for (const fieldPath of Object.values(fields)) {
+    projection[fieldPath] = 1;
+  }
+  if (!('_id' in projection)) {
+    projection._id = 0;
+  }
+  return projection;
+}
+
+/**
+ * Понятное сообщение для ошибки драйвера MongoDB (исходная ошибка сохраняется в cause)
+ * @param {Error} error - ошибка
+ * @param {Object} mongoConfig - настройки подключения (config.mongo)
+ * @returns {Error}
+ */
+function describeMongoError(error, mongoConfig) {
+  if (error.name === 'MongoServerSelectionError' || error.name === 'MongoNetworkError' ||
+      error.name === 'MongoNetworkTimeoutError') {
+    return new Error(`Не удалось подключиться к MongoDB ${maskUri(mongoConfig.uri)}: ${error.message}`, { cause: error });
+  }
+  if (error.code === AUTH_FAILED) {
+    return new Error(`Ошибка аутентификации MongoDB (пользователь ${mongoConfig.username || 'из MONGO_URI'}, ` +
+      `база аутентификации ${mongoConfig.authDb}): ${error.message}`, { cause: error });
+  }
+  if (error.code === UNAUTHORIZED) {
+    return new Error(`Нет прав на чтение базы ${mongoConfig.db}: ${error.message}`, { cause: error });
+  }
+  return error;
+}
+
+/**
+ * Подключение к MongoDB, при заданном SSH_HOST - через SSH туннель
+ * @param {Object} mongoConfig - настройки подключения (config.mongo)
+ * @returns {Promise<{client: MongoClient, close: Function}>} подключенный клиент и закрытие подключения и туннеля
+ */
+async function connectMongo(mongoConfig) {
+  let uri = mongoConfig.uri;
+  let tunnel = null;
+
+  if (mongoConfig.ssh.host) {
+    let url;
+    try {
+      url = new URL(uri);
+    } catch (error) {
+      throw new Error(`Для SSH туннеля нужна строка подключения mongodb:// с одним хостом: ${maskUri(uri)}`);
+    }
+    if (url.protocol !== 'mongodb:') {
+      throw new Error(`Для SSH туннеля нужна строка подключения mongodb:// с одним хостом: ${maskUri(uri)}`);
+    }
+
+    tunnel = await openSshTunnel({
+      host: mongoConfig.ssh.host,
+      remoteHost: url.hostname,
+      remotePort: parseInt(url.port || '27017', 10),
+      localPort: mongoConfig.ssh.localPort,
+      timeoutMs: mongoConfig.connectTimeoutMs
+    });
+    // Через туннель доступен только один сервер: обнаружение остальных узлов набора реплик отключается
+    url.hostname = '127.0.0.1';
+    url.port = String(tunnel.localPort);
+    url.searchParams.set('directConnection', 'true');
+    uri = url.toString();
+  }
+
+  const client = new MongoClient(uri, {
+    serverSelectionTimeoutMS: mongoConfig.connectTimeoutMs,
+    connectTimeoutMS: mongoConfig.connectTimeoutMs,
+    ...(mongoConfig.username && mongoConfig.password ? {
+      auth: { username: mongoConfig.username, password: mongoConfig.password },
+      authSource: mongoConfig.authDb
+    } : {})
+  });
+
+  const close = async () => {
+    await client.close();
+    if (tunnel) {
+      await tunnel.close();
+    }
+  };
+
+  try {
+    await client.connect();
+  } catch (error) {
+    await close();
+    throw describeMongoError(error, mongoConfig);
+  }
+
+  console.log(`✓ Подключение к MongoDB установлено (база ${mongoConfig.db})`);
+  return { client, close };
+}
+
+/**
+ * Потоковая выгрузка коллекции: документы пишутся в файл (JSON массив документов) и пачками вставляются в БД
+ * @param {Db} mongoDb - база MongoDB
+ * @param {string} name - имя коллекции
+ * @param {string} filePath - файл выгрузки
+ * @param {Function} insertRecords - вставка пачки записей справочника в БД
+ * @param {number} chunkSize - размер пачки чтения курсора и вставки
+ * @returns {Promise<number>} количество выгруженных документов
+ */
+async function streamCollection(mongoDb, name, filePath, insertRecords, chunkSize) {
+  const exists = await mongoDb.listCollections({ name }, { nameOnly: true }).hasNext();
+  if (!exists) {
+    throw new Error(`Коллекция ${name} не найдена в базе ${mongoDb.databaseName}`);
+  }
+
+  const { fields } = config.references;
+  const cursor = mongoDb.collection(name)
+    .find({}, { projection: buildProjection(fields) })
+    .batchSize(chunkSize);
+  let total = 0;
+
+  async function* toJsonArray() {
+    let records = [];
+    yield '[';
+    for await (const document of cursor) {
+      // Запись в БД строится из того же JSON, что попадает в файл (ObjectId и даты - строками),
+      // поэтому совпадает с загрузкой справочника из файла
+      const text = JSON.stringify(document);
+      yield (total === 0 ? '\n' : ',\n') + text;
+      total++;
+
+      const record = toReferenceRecord(JSON.parse(text), fields);
+      if (record) {
+        records.push(record);
+      }
+      if (records.length >= chunkSize) {
+        insertRecords(records);
+        records = [];
+      }
+    }
+    if (records.length > 0) {
+      insertRecords(records);
+    }
+    yield '\n]\n';
+  }
+
+  try {
+    await pipeline(Readable.from(toJsonArray()), fs.createWriteStream(filePath, { encoding: 'utf8' }));
+  } finally {
+    await cursor.close();
+  }
+  if (total === 0) {
+    throw new Error(`Коллекция ${name} пуста, справочники не обновлены`);
+  }
+
+  return total;
+}
+
+/**
+ * Выгрузка справочников products и catalog из MongoDB в БД, в файлы data/nest.*.json и снимок справочников
+ * Таблицы справочников очищаются и заполняются пачками из курсора в одной транзакции вместе с записью
+ * пар (id 1С, код) в историю кодов: при ошибке выгрузки любой коллекции прежние таблицы сохраняются.
+ * Файлы (из них справочники загружает основной скрипт, по ним сравниваются снимки) пишутся во временные файлы
+ * и заменяются только после выгрузки всех коллекций, затем сохраняется снимок с датой выгрузки (см. saveSnapshot)
+ * @param {Object} options - опции
+ * @param {Object} options.mongoConfig - настройки подключения (по умолчанию config.mongo)
+ * @param {string} options.dataDir - директория файлов справочников (по умолчанию data/)
+ * @param {string} options.snapshotDir - директория снимков (по умолчанию config.import.snapshotDir)
+ * @param {number} options.chunkSize - размер пачки чтения курсора и вставки (по умолчанию config.ingest.chunkSize)
+ * @param {MongoClient} options.client - уже подключенный клиент (например, к локальному mongod в тестах);
+ * по умолчанию подключение по настройкам mongoConfig
+ * @returns {Promise<{counts: Object<string, number>, snapshot: Object}>} количество выгруженных документов
+ * по справочникам и сохраненный снимок
+ */
+async function fetchReferences(options = {}) {
+  const {
+    mongoConfig = config.mongo,
+    dataDir = path.join(__dirname, 'data'),
+    snapshotDir = config.import.snapshotDir,
+    chunkSize = config.ingest.chunkSize,
+    client = null
+  } = options;
+
+  fs.mkdirSync(dataDir, { recursive: true });
+  const connection = client ? { client, close: async () => {} } : await connectMongo(mongoConfig);
+  const files = Object.entries(SNAPSHOT_FILES).map(([collection, fileName]) => {
+    const filePath = path.join(dataDir, fileName);
+    return { collection, filePath, tmpFile: `${filePath}.tmp` };
+  });
+
+  try {
+    const mongoDb = connection.client.db(mongoConfig.db);
+
+    const counts = await runInTransaction(async () => {
+      const counts = {};
+      clearTables(Object.keys(REFERENCE_INSERTS));
+
+      for (const { collection, tmpFile } of files) {
+        const name = mongoConfig.collections[collection];
+        console.log(`Выгрузка ${collection} из коллекции ${name}...`);
+        counts[collection] = await streamCollection(mongoDb, name, tmpFile, REFERENCE_INSERTS[collection], chunkSize);
+        recordReferenceHistory(collection);
+        console.log(`✓ Коллекция ${name}: ${counts[collection]} документов`);
+      }
+      return counts;
+    });
+
+    for (const { filePath, tmpFile } of files) {
+      fs.renameSync(tmpFile, filePath);
+      console.log(`✓ Файл ${path.relative(__dirname, filePath)} обновлен`);
+    }
+
+    return { counts, snapshot: saveSnapshot(dataDir, snapshotDir) };
+  } catch (error) {
+    throw describeMongoError(error, mongoConfig);
+  } finally {
+    for (const { tmpFile } of files) {
+      fs.rmSync(tmpFile, { force: true });
+    }
+    await connection.close();
+  }
+}
+
+/**
+ * Основная функция: выгрузка справочников из MongoDB
+ * Использование: node mongoFetcher.js
+ */
+async function main() {
+  try {
+    initDatabase();
+    await fetchReferences();
+  } catch (error) {
+    console.error('✗ Ошибка выгрузки справочников:', error.message);
+    process.exitCode = 1;
+  } finally {
+    closeDatabase();
+  }
+}
+
+module.exports = {
+  buildProjection,
+  connectMongo,
+  streamCollection,
+  fetchReferences
+};
+
+// Запуск
+if (require.main === module) {
+  main();
+}
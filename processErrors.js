@@ -1,24 +1,37 @@
-const fs = require('fs');
-const path = require('path');
-const axios = require('axios');
-const { insertErrors, updateErrorStatus } = require('./db');
+const config = require('./config');
+const {
+  insertErrors,
+  updateErrorStatus,
+  saveRedirectChain,
+  getAllErrors,
+  getUrlsToCheck,
+  getUrlsNotCheckedSince,
+  getErrorSources
+} = require('./db');
+const { checkUrls } = require('./urlChecker');
+const { readCsvStatuses } = require('./crawlStatuses');
+const { streamJsonRecords, forEachChunk } = require('./jsonStream');
 
 /**
- * Чтение файла с ошибками
+ * Потоковая загрузка файла с ошибками в БД
+ * Файл (JSON массив или NDJSON/JSONL) читается по записям и вставляется пачками по chunkSize
+ * в отдельных транзакциях, поэтому размер файла не ограничен памятью
  * @param {string} filePath - путь к файлу
- * @returns {Array<{url: string}>} массив объектов с url
+ * @param {number} chunkSize - размер пачки (по умолчанию config.ingest.chunkSize)
+ * @returns {Promise<number>} количество прочитанных записей
  */
-function readErrorsFile(filePath) {
+async function loadErrorsFile(filePath, chunkSize = config.ingest.chunkSize) {
   try {
-    const fileContent = fs.readFileSync(filePath, 'utf8');
-    const errors = JSON.parse(fileContent);
-    
-    if (!Array.isArray(errors)) {
-      throw new Error('Файл должен содержать массив объектов');
-    }
+    let skipped = 0;
+    const total = await forEachChunk(await streamJsonRecords(filePath), chunkSize, (records) => {
+      const errors = records.filter(record => record && typeof record.url === 'string');
+      skipped += records.length - errors.length;
+      // Источник записей без поля source - errors.json
+      insertErrors(errors, 'errors_json');
+    });
     
-    console.log(`Прочитано ${errors.length} записей из файла ошибок`);
-    return errors;
+    console.log(`Прочитано ${total} записей из файла ошибок` + (skipped > 0 ? ` (без url: ${skipped})` : ''));
+    return total;
   } catch (error) {
     console.error(`Ошибка при чтении файла ${filePath}:`, error.message);
     throw error;
@@ -26,160 +39,175 @@ function readErrorsFile(filePath) {
 }
 
 /**
- * Проверка статуса URL через GET запрос с отслеживанием редиректов
- * @param {string} url - URL для проверки
- * @returns {Promise<{status: number|null, finalUrl: string|null}>} объект с HTTP статус кодом и финальным URL
+ * Заполнение статусов из CSV обхода без HTTP запросов
+ * Страницы записей, пропавших из справочников (источник reference_diff), еще не попали в обход:
+ * в офлайн режиме их статус, если его нет в CSV, берется из сравнения снимков справочников
+ * @param {Array<string>} urls - URL для проверки
+ * @param {Map<string, {status: number, prevStatus: number|null, lastAccess: string|null}>} csvStatuses - статусы из CSV
+ * @param {boolean} hybrid - гибридный режим: статусы старше maxAgeDays (или без даты) проверяются HTTP запросом
+ * @param {number} maxAgeDays - срок актуальности статуса из CSV в днях для гибридного режима
+ * @returns {{fromCsv: number, fromSnapshots: number, missing: number, live: Array<string>}} количество статусов
+ * из CSV и из снимков справочников, URL без статуса и URL для HTTP проверки (в офлайн режиме - пустой массив)
  */
-async function checkUrlStatus(url) {
-  try {
-    const response = await axios.get(url, {
-      timeout: 10000, // 10 секунд таймаут
-      validateStatus: () => true, // Не выбрасывать ошибку для любых статусов
-      maxRedirects: 10 // Отслеживаем редиректы
-    });
-    
-    // Получаем финальный URL после всех редиректов
-    // Пробуем разные способы получения финального URL
-    let finalUrl = null;
-    if (response.request?.res?.responseUrl) {
-      finalUrl = response.request.res.responseUrl;
-    } else if (response.request?.res?.responseURL) {
-      finalUrl = response.request.res.responseURL;
-    } else if (response.request?.responseURL) {
-      finalUrl = response.request.responseURL;
-    } else if (response.config?.url) {
-      finalUrl = response.config.url;
+function applyCsvStatuses(urls, csvStatuses, hybrid, maxAgeDays) {
+  const minLastAccess = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000)
+    .toISOString().replace('T', ' ').slice(0, 19);
+  const live = [];
+  let fromCsv = 0;
+  let fromSnapshots = 0;
+  let missing = 0;
+
+  for (const url of urls) {
+    const entry = csvStatuses.get(url);
+    const stale = !entry || !entry.lastAccess || entry.lastAccess < minLastAccess;
+
+    if (hybrid && stale) {
+      live.push(url);
+      continue;
     }
-    
-    // Нормализуем URL для сравнения (убираем trailing slash)
-    const normalizeUrl = (u) => u ? u.replace(/\/$/, '') : u;
-    const normalizedOriginal = normalizeUrl(url);
-    const normalizedFinal = normalizeUrl(finalUrl);
-    
-    // Если финальный URL отличается от исходного, значит был редирект
-    const wasRedirected = finalUrl && normalizedFinal !== normalizedOriginal;
-    
-    return {
-      status: response.status,
-      finalUrl: wasRedirected ? finalUrl : null
-    };
-  } catch (error) {
-    if (error.response) {
-      // Сервер ответил с кодом ошибки
-      let finalUrl = null;
-      if (error.response.request?.res?.responseUrl) {
-        finalUrl = error.response.request.res.responseUrl;
-      } else if (error.response.request?.res?.responseURL) {
-        finalUrl = error.response.request.res.responseURL;
-      } else if (error.response.request?.responseURL) {
-        finalUrl = error.response.request.responseURL;
-      } else if (error.config?.url) {
-        finalUrl = error.config.url;
-      }
-      
-      // Нормализуем URL для сравнения
-      const normalizeUrl = (u) => u ? u.replace(/\/$/, '') : u;
-      const normalizedOriginal = normalizeUrl(url);
-      const normalizedFinal = normalizeUrl(finalUrl);
-      const wasRedirected = finalUrl && normalizedFinal !== normalizedOriginal;
-      
-      return {
-        status: error.response.status,
-        finalUrl: wasRedirected ? finalUrl : null
-      };
-    } else if (error.request) {
-      // Запрос был сделан, но ответа не получено
-      console.error(`Нет ответа от сервера для ${url}`);
-      return { status: null, finalUrl: null };
+    if (entry) {
+      updateErrorStatus(url, entry.status, null, {
+        source: 'csv',
+        prevStatus: entry.prevStatus,
+        checkedAt: entry.lastAccess
+      });
+      fromCsv++;
+      continue;
+    }
+
+    const removed = getErrorSources(url).find(source => source.source === 'reference_diff');
+    if (removed) {
+      updateErrorStatus(url, removed.reported_status, null, { source: 'reference_diff', checkedAt: removed.last_seen });
+      fromSnapshots++;
     } else {
-      // Ошибка при настройке запроса
-      console.error(`Ошибка при запросе ${url}:`, error.message);
-      return { status: null, finalUrl: null };
+      missing++;
     }
   }
+
+  return { fromCsv, fromSnapshots, missing, live };
 }
 
 /**
  * Обработка всех ошибок: заполнение БД и проверка статусов
  * @param {string} errorsFilePath - путь к файлу с ошибками
  * @param {Object} options - опции обработки
- * @param {number} options.concurrency - количество одновременных запросов (по умолчанию 10)
+ * @param {number} options.concurrency - количество одновременных проверок (по умолчанию 10);
+ * частота запросов ограничивается config.http.requestsPerSecond
  * @param {boolean} options.skipStatusCheck - пропустить проверку статусов (по умолчанию false)
+ * @param {boolean} options.incremental - проверять только URL с неизвестным или устаревшим статусом (по умолчанию false)
+ * @param {number} options.statusTtlHours - срок актуальности статуса в часах для инкрементального режима (по умолчанию 168)
+ * @param {string|null} options.resumeSince - продолжение прерванного запуска: проверять только URL, статус которых
+ * не проверялся с этого момента (UTC, формат datetime SQLite; по умолчанию null)
+ * @param {string} options.statusSource - источник статусов: 'live' - HTTP запросы (по умолчанию), 'offline' - только
+ * колонки CSV обхода, без обращений к сети, 'hybrid' - CSV, а строки старше csvMaxAgeDays - HTTP запросом
+ * @param {Array<string>} options.csvFiles - CSV файлы обхода для режимов 'offline' и 'hybrid'
+ * @param {number} options.csvMaxAgeDays - срок актуальности статуса из CSV в днях для режима 'hybrid' (по умолчанию 7)
  */
 async function processErrors(errorsFilePath, options = {}) {
-  const { concurrency = 10, skipStatusCheck = false } = options;
+  const {
+    concurrency = 10,
+    skipStatusCheck = false,
+    incremental = false,
+    statusTtlHours = 168,
+    resumeSince = null,
+    statusSource = 'live',
+    csvFiles = [],
+    csvMaxAgeDays = 7
+  } = options;
   
   console.log(`\n[processErrors] Начало обработки. skipStatusCheck = ${skipStatusCheck}`);
   
-  // Чтение файла
-  const errors = readErrorsFile(errorsFilePath);
-  
   // Заполнение БД
-  insertErrors(errors);
+  await loadErrorsFile(errorsFilePath);
   
   if (skipStatusCheck) {
     console.log('⚠️  Проверка статусов пропущена (skipStatusCheck = true)');
     return;
   }
   
+  // Проверяются все URL запуска: из errors.json и импортированные из дополнительных источников.
+  // В инкрементальном режиме статусы, проверенные менее statusTtlHours часов назад, не перепроверяются,
+  // при продолжении прерванного запуска - статусы, проверенные им
+  let urls = getAllErrors().map(row => row.url);
+  if (resumeSince) {
+    urls = getUrlsNotCheckedSince(resumeSince);
+  } else if (incremental) {
+    urls = getUrlsToCheck(statusTtlHours);
+  }
+  
   // Проверка статусов
-  console.log(`\n[processErrors] Начинаем проверку статусов для ${errors.length} URL...`);
+  if (resumeSince) {
+    console.log(`\n[processErrors] Продолжение прерванного запуска: статусы, проверенные после ${resumeSince}, не перепроверяются`);
+  } else if (incremental) {
+    console.log(`\n[processErrors] Инкрементальный режим: статусы новее ${statusTtlHours} ч. не перепроверяются`);
+  }
+  
+  if (statusSource !== 'live') {
+    const hybrid = statusSource === 'hybrid';
+    const { fromCsv, fromSnapshots, missing, live } = applyCsvStatuses(urls, readCsvStatuses(csvFiles), hybrid, csvMaxAgeDays);
+    console.log(`\n[processErrors] Статусы из CSV обхода (${hybrid ? `гибридный режим, не старше ${csvMaxAgeDays} дн.` : 'офлайн режим'}): ${fromCsv}`);
+    if (fromSnapshots > 0) {
+      console.log(`[processErrors] Статусы из снимков справочников (записи удалены): ${fromSnapshots}`);
+    }
+    if (missing > 0) {
+      console.log(`[processErrors] ⚠️  Нет статуса в CSV: ${missing} URL (статус не заполнен)`);
+    }
+    urls = live;
+  }
+  console.log(`\n[processErrors] Начинаем проверку статусов для ${urls.length} URL...`);
   console.log(`[processErrors] Параллелизм: ${concurrency} запросов`);
   
-  const urls = errors.map(e => e.url);
   let processed = 0;
   let successCount = 0;
   let errorCount = 0;
+  let cachedCount = 0;
   
-  // Обработка с ограничением параллелизма
-  for (let i = 0; i < urls.length; i += concurrency) {
-    const batch = urls.slice(i, i + concurrency);
-    
-    console.log(`[processErrors] Обрабатываем батч ${Math.floor(i / concurrency) + 1}: ${batch.length} URL`);
-    
-    const promises = batch.map(async (url) => {
-      try {
-        const result = await checkUrlStatus(url);
-        if (result.status !== null) {
-          updateErrorStatus(url, result.status, result.finalUrl);
-          successCount++;
-          if (result.finalUrl) {
-            console.log(`[processErrors] ✓ ${url} -> редирект на ${result.finalUrl} -> статус ${result.status}`);
-          } else {
-            console.log(`[processErrors] ✓ ${url} -> статус ${result.status}`);
-          }
-        } else {
-          errorCount++;
-          console.log(`[processErrors] ✗ ${url} -> не удалось получить статус`);
-        }
-        processed++;
-        
-        if (processed % 100 === 0) {
-          console.log(`[processErrors] Обработано ${processed}/${urls.length} URL`);
-        }
-      } catch (error) {
-        console.error(`[processErrors] Ошибка при обработке ${url}:`, error.message);
-        errorCount++;
-        processed++;
+  const countProcessed = () => {
+    processed++;
+    if (processed % 100 === 0) {
+      console.log(`[processErrors] Обработано ${processed}/${urls.length} URL`);
+    }
+  };
+  
+  // Обработка с ограничением параллелизма и частоты запросов (см. checkUrls)
+  await checkUrls(urls, (url, result) => {
+    // Статус сохраняется сразу после проверки: прерванный запуск можно продолжить с этого места.
+    // Неудачная проверка тоже сохраняется: класс ошибки и количество попыток
+    updateErrorStatus(url, result.status, result.finalUrl, result);
+    saveRedirectChain(url, result.chain);
+    if (result.cached) {
+      cachedCount++;
+    }
+    if (result.status !== null) {
+      successCount++;
+      const attemptsInfo = result.cached ? ' (из кэша)' : result.attempts > 1 ? ` (попыток: ${result.attempts})` : '';
+      if (result.finalUrl) {
+        console.log(`[processErrors] ✓ ${url} -> редирект на ${result.finalUrl} -> статус ${result.status}${attemptsInfo}`);
+      } else {
+        console.log(`[processErrors] ✓ ${url} -> статус ${result.status}${attemptsInfo}`);
       }
-    });
-    
-    await Promise.all(promises);
-    
-    // Небольшая задержка между батчами, чтобы не перегружать сервер
-    if (i + concurrency < urls.length) {
-      await new Promise(resolve => setTimeout(resolve, 100));
+    } else {
+      errorCount++;
+      console.log(`[processErrors] ✗ ${url} -> не удалось получить статус: ${result.errorClass}, попыток: ${result.attempts}`);
     }
-  }
+    countProcessed();
+  }, {
+    concurrency,
+    onError: (url, error) => {
+      console.error(`[processErrors] Ошибка при обработке ${url}:`, error.message);
+      errorCount++;
+      countProcessed();
+    }
+  });
   
   console.log(`\n[processErrors] ✓ Проверка статусов завершена:`);
-  console.log(`[processErrors]   - Успешно проверено: ${successCount}`);
+  console.log(`[processErrors]   - Успешно проверено: ${successCount} (из кэша: ${cachedCount})`);
   console.log(`[processErrors]   - Ошибок при проверке: ${errorCount}`);
   console.log(`[processErrors]   - Всего обработано: ${processed}/${urls.length}`);
 }
 
 module.exports = {
-  readErrorsFile,
-  checkUrlStatus,
+  loadErrorsFile,
+  applyCsvStatuses,
   processErrors
 };
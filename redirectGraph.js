@@ -0,0 +1,216 @@
+require('dotenv').config();
+const { initDatabase, closeDatabase, getRedirectsByPercent, getSiteRedirects } = require('./db');
+
+/**
+ * Ключ узла графа: путь URL без домена и завершающего слеша (декодированный)
+ * Экспорт заменяет домен на BASE_URL, поэтому URL с разными доменами считаются одним узлом
+ * @param {string} url - URL
+ * @returns {string} ключ узла
+ */
+function nodeKey(url) {
+  let decoded = url;
+  try {
+    decoded = decodeURIComponent(url);
+  } catch (error) {
+    // Некорректная percent-кодировка: используем URL как есть
+  }
+
+  const pathname = decoded.replace(/^https?:\/\/[^\/]+/, '') || '/';
+  return pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+}
+
+/**
+ * Анализ графа редиректов перед экспортом
+ * Ребра графа - найденные редиректы, существующие редиректы сайта (из CSV обхода) и редиректы
+ * целевых страниц, обнаруженные при проверке целей (target_final_url).
+ * - from == to: редирект исключается
+ * - несколько целей у одного источника: остается первый редирект (по убыванию процента)
+ * - источник найденного редиректа уже редиректит на сайте на другую страницу: конфликт, найденный редирект
+ *   заменит существующий
+ * - цепочки: источник перенаправляется сразу на финальную цель
+ * - циклы: из цикла удаляется найденный редирект с наименьшим процентом
+ * @param {Array<Object>} redirects - найденные редиректы (from_url, to_url, percent, target_status, target_final_url)
+ * @param {Array<{from_url: string, to_url: string, status: number|null}>} siteRedirects - существующие редиректы сайта
+ * @returns {{redirects: Array<Object>, selfLoops: Array<Object>, duplicates: Array<Object>, conflicts: Array<Object>,
+ * chains: Array<Object>, loops: Array<Object>}} редиректы после выпрямления цепочек (to_url - финальная цель,
+ * chain - пройденные URL, live - финальная цель отвечает 200) и найденные проблемы
+ */
+function analyzeRedirectGraph(redirects, siteRedirects = []) {
+  const report = { selfLoops: [], duplicates: [], conflicts: [], chains: [], loops: [] };
+  // Исходящее ребро каждого узла: { to, url, redirect } (redirect - найденный редирект или null)
+  const edges = new Map();
+  // Известные статусы узлов (по результатам проверки целей и редиректов сайта)
+  const statuses = new Map();
+  const own = [];
+
+  for (const redirect of redirects) {
+    const from = nodeKey(redirect.from_url);
+    const to = nodeKey(redirect.to_url);
+
+    if (from === to) {
+      report.selfLoops.push(redirect);
+      continue;
+    }
+
+    const existing = edges.get(from);
+    if (existing) {
+      if (existing.to !== to) {
+        report.duplicates.push({ from_url: redirect.from_url, kept: existing.redirect, dropped: redirect });
+      }
+      continue;
+    }
+
+    edges.set(from, { to, url: redirect.to_url, redirect });
+    own.push(redirect);
+  }
+
+  // Редиректы целевых страниц и сайта добавляются только для узлов без найденного редиректа
+  const addExternalEdge = (fromUrl, toUrl, site) => {
+    const from = nodeKey(fromUrl);
+    const to = nodeKey(toUrl);
+    if (from === to) return;
+
+    const existing = edges.get(from);
+    if (existing) {
+      if (site && existing.redirect && existing.to !== to) {
+        report.conflicts.push({ from_url: fromUrl, redirect: existing.redirect, siteTarget: toUrl });
+      }
+      return;
+    }
+    edges.set(from, { to, url: toUrl, redirect: null });
+  };
+
+  for (const redirect of own) {
+    if (redirect.target_status === null || redirect.target_status === undefined) continue;
+
+    if (redirect.target_final_url) {
+      addExternalEdge(redirect.to_url, redirect.target_final_url, false);
+      statuses.set(nodeKey(redirect.target_final_url), redirect.target_status);
+    } else {
+      statuses.set(nodeKey(redirect.to_url), redirect.target_status);
+    }
+  }
+
+  for (const siteRedirect of siteRedirects) {
+    addExternalEdge(siteRedirect.from_url, siteRedirect.to_url, true);
+    if (siteRedirect.status !== null && siteRedirect.status !== undefined) {
+      statuses.set(nodeKey(siteRedirect.to_url), siteRedirect.status);
+    }
+  }
+
+  // Проход по ребрам от узла до конца цепочки или до повторного узла (цикла)
+  const follow = (start) => {
+    const path = [start];
+    const urls = [];
+    let node = start;
+
+    while (edges.has(node)) {
+      const edge = edges.get(node);
+      urls.push(edge.url);
+      node = edge.to;
+
+      const cycleStart = path.indexOf(node);
+      if (cycleStart !== -1) {
+        return { urls, node, cycle: path.slice(cycleStart) };
+      }
+      path.push(node);
+    }
+
+    return { urls, node, cycle: null };
+  };
+
+  // Разрыв циклов: удаление ребер не создает новых циклов, поэтому после прохода граф ацикличен
+  const removed = new Set();
+  for (const redirect of own) {
+    while (!removed.has(redirect)) {
+      const { cycle } = follow(nodeKey(redirect.from_url));
+      if (!cycle) break;
+
+      const candidates = cycle
+        .map(key => edges.get(key).redirect)
+        .filter(Boolean)
+        .sort((a, b) => a.percent - b.percent);
+      // Цикл только из редиректов сайта: исключается найденный редирект, который ведет в него
+      const weakest = candidates.length > 0 ? candidates[0] : redirect;
+
+      report.loops.push({ cycle, removed: weakest, siteOnly: candidates.length === 0 });
+      removed.add(weakest);
+      edges.delete(nodeKey(weakest.from_url));
+    }
+  }
+
+  const result = [];
+  for (const redirect of own) {
+    if (removed.has(redirect)) continue;
+
+    const { urls, node } = follow(nodeKey(redirect.from_url));
+    if (urls.length > 1) {
+      report.chains.push({ from_url: redirect.from_url, chain: urls });
+    }
+
+    result.push({
+      ...redirect,
+      to_url: urls[urls.length - 1],
+      original_to_url: redirect.to_url,
+      chain: urls,
+      live: statuses.get(node) === 200
+    });
+  }
+
+  return { redirects: result, ...report };
+}
+
+/**
+ * Вывод отчета анализа графа редиректов
+ * @param {Object} analysis - результат analyzeRedirectGraph
+ */
+function printGraphReport(analysis) {
+  console.log('\nАнализ графа редиректов:');
+  console.log(`  from == to: ${analysis.selfLoops.length}`);
+  for (const redirect of analysis.selfLoops.slice(0, 10)) {
+    console.log(`    ${redirect.from_url}`);
+  }
+  console.log(`  Несколько целей у одного источника: ${analysis.duplicates.length}`);
+  for (const { from_url, kept, dropped } of analysis.duplicates.slice(0, 10)) {
+    console.log(`    ${from_url}: ${kept.to_url} (оставлен), ${dropped.to_url} (исключен)`);
+  }
+  console.log(`  Источник уже редиректит на сайте на другую страницу: ${analysis.conflicts.length}`);
+  for (const { from_url, redirect, siteTarget } of analysis.conflicts.slice(0, 10)) {
+    console.log(`    ${from_url}: сейчас ${siteTarget}, будет ${redirect.to_url}`);
+  }
+  console.log(`  Выпрямлено цепочек: ${analysis.chains.length}`);
+  for (const { from_url, chain } of analysis.chains.slice(0, 10)) {
+    console.log(`    ${from_url} -> ${chain.join(' -> ')}`);
+  }
+  console.log(`  Разорвано циклов: ${analysis.loops.length}`);
+  for (const { cycle, removed } of analysis.loops.slice(0, 10)) {
+    console.log(`    ${cycle.join(' -> ')} (исключен ${removed.from_url})`);
+  }
+}
+
+/**
+ * Основная функция: анализ графа всех редиректов без экспорта
+ */
+function main() {
+  try {
+    initDatabase();
+    const analysis = analyzeRedirectGraph(getRedirectsByPercent(0), getSiteRedirects());
+    printGraphReport(analysis);
+  } catch (error) {
+    console.error('Ошибка:', error);
+    process.exitCode = 1;
+  } finally {
+    closeDatabase();
+  }
+}
+
+// Запуск
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  nodeKey,
+  analyzeRedirectGraph,
+  printGraphReport
+};
@@ -0,0 +1,210 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { recordHistoryCodes, getRecordedSnapshots, markSnapshotRecorded } = require('./db');
+const { streamJsonRecords, forEachChunk } = require('./jsonStream');
+const { toReferenceRecord } = require('./loadReferences');
+
+// Файлы справочников, которые сохраняются в снимки: справочник -> имя файла в data/
+const SNAPSHOT_FILES = {
+  products: 'nest.product1cs.json',
+  catalog: 'nest.catalog1cs.json'
+};
+
+// Имя директории снимка - дата выгрузки (UTC)
+const SNAPSHOT_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Снимки справочников по возрастанию даты
+ * @param {string} snapshotDir - директория снимков относительно корня проекта (по умолчанию config.import.snapshotDir)
+ * @returns {Array<{date: string, dir: string, files: Object<string, string>}>} дата, директория
+ * и файлы снимка по справочникам (только существующие)
+ */
+function listSnapshots(snapshotDir = config.import.snapshotDir) {
+  const fullDir = path.resolve(__dirname, snapshotDir);
+  if (!fs.existsSync(fullDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(fullDir)
+    .filter(name => SNAPSHOT_DATE.test(name))
+    .sort()
+    .map(date => {
+      const dir = path.join(fullDir, date);
+      const files = {};
+      for (const [collection, fileName] of Object.entries(SNAPSHOT_FILES)) {
+        const filePath = path.join(dir, fileName);
+        if (fs.existsSync(filePath)) {
+          files[collection] = filePath;
+        }
+      }
+      return { date, dir, files };
+    });
+}
+
+/**
+ * Два последних снимка для сравнения
+ * @param {string} snapshotDir - директория снимков (по умолчанию config.import.snapshotDir)
+ * @returns {{previous: Object, current: Object}|null} предыдущий и текущий снимки (см. listSnapshots)
+ * или null, если снимков меньше двух
+ */
+function getLatestSnapshots(snapshotDir = config.import.snapshotDir) {
+  const snapshots = listSnapshots(snapshotDir);
+  if (snapshots.length < 2) {
+    return null;
+  }
+  return { previous: snapshots[snapshots.length - 2], current: snapshots[snapshots.length - 1] };
+}
+
+/**
+ * Сохранение выгруженных справочников как снимка с датой выгрузки
+ * Повторная выгрузка в тот же день заменяет снимок этого дня
+ * @param {string} dataDir - директория с файлами справочников
+ * @param {string} snapshotDir - директория снимков (по умолчанию config.import.snapshotDir)
+ * @param {Date} date - дата выгрузки (по умолчанию текущая)
+ * @returns {{date: string, dir: string, files: Object<string, string>}|null} снимок или null, если файлов нет
+ */
+function saveSnapshot(dataDir, snapshotDir = config.import.snapshotDir, date = new Date()) {
+  const sources = Object.entries(SNAPSHOT_FILES)
+    .map(([collection, fileName]) => [collection, path.join(dataDir, fileName)])
+    .filter(([, filePath]) => fs.existsSync(filePath));
+  if (sources.length === 0) {
+    console.log('⚠️  Файлы справочников не найдены, снимок не сохранен');
+    return null;
+  }
+
+  const snapshotDate = date.toISOString().slice(0, 10);
+  const dir = path.resolve(__dirname, snapshotDir, snapshotDate);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const files = {};
+  for (const [collection, filePath] of sources) {
+    files[collection] = path.join(dir, path.basename(filePath));
+    fs.copyFileSync(filePath, files[collection]);
+  }
+
+  console.log(`✓ Снимок справочников ${snapshotDate} сохранен в ${path.relative(__dirname, dir)}`);
+  return { date: snapshotDate, dir, files };
+}
+
+/**
+ * Коды, которые есть в предыдущем файле справочника и отсутствуют в текущем
+ * Текущий файл читается потоково в множество кодов, предыдущий - потоково сравнивается с ним
+ * @param {string} previousFile - файл предыдущего снимка
+ * @param {string} currentFile - файл текущего снимка
+ * @returns {Promise<Array<string>>} пропавшие коды в порядке предыдущего файла
+ */
+async function findRemovedCodes(previousFile, currentFile) {
+  const current = new Set();
+  for await (const item of await streamJsonRecords(currentFile)) {
+    if (item && typeof item.code === 'string') {
+      current.add(item.code);
+    }
+  }
+
+  const removed = [];
+  const seen = new Set();
+  for await (const item of await streamJsonRecords(previousFile)) {
+    if (!item || typeof item.code !== 'string' || current.has(item.code) || seen.has(item.code)) continue;
+
+    seen.add(item.code);
+    removed.push(item.code);
+  }
+
+  return removed;
+}
+
+/**
+ * Сравнение двух снимков по справочникам, которые есть в обоих
+ * @param {Object} previous - предыдущий снимок (см. listSnapshots)
+ * @param {Object} current - текущий снимок
+ * @returns {Promise<Object<string, Array<string>>>} пропавшие коды по справочникам
+ */
+async function diffSnapshots(previous, current) {
+  const removed = {};
+  for (const [collection, previousFile] of Object.entries(previous.files)) {
+    if (current.files[collection]) {
+      removed[collection] = await findRemovedCodes(previousFile, current.files[collection]);
+    }
+  }
+  return removed;
+}
+
+/**
+ * Запись кодов снимков в историю кодов по id 1С (см. recordReferenceHistory в db.js)
+ * Каждый снимок записывается один раз, поэтому история охватывает все выгрузки, в том числе
+ * сделанные без запуска поиска редиректов
+ * @param {string} snapshotDir - директория снимков (по умолчанию config.import.snapshotDir)
+ * @returns {Promise<number>} количество записанных снимков
+ */
+async function recordSnapshotHistory(snapshotDir = config.import.snapshotDir) {
+  const recorded = new Set(getRecordedSnapshots());
+  let count = 0;
+
+  for (const snapshot of listSnapshots(snapshotDir)) {
+    if (recorded.has(snapshot.date)) continue;
+
+    for (const [collection, filePath] of Object.entries(snapshot.files)) {
+      await forEachChunk(await streamJsonRecords(filePath), config.ingest.chunkSize, (items) => {
+        const records = items
+          .map(item => toReferenceRecord(item, config.references.fields))
+          .filter(record => record && record.externalId);
+        recordHistoryCodes(collection, records, `${snapshot.date} 00:00:00`);
+      });
+    }
+    markSnapshotRecorded(snapshot.date);
+    count++;
+  }
+
+  if (count > 0) {
+    console.log(`✓ В историю кодов записано снимков справочников: ${count}`);
+  }
+  return count;
+}
+
+/**
+ * Основная функция: сохранение снимка или вывод кодов, пропавших с предыдущего снимка
+ * Использование: node referenceSnapshots.js [--save]
+ */
+async function main() {
+  try {
+    if (process.argv.includes('--save')) {
+      saveSnapshot(path.join(__dirname, 'data'));
+      return;
+    }
+
+    const latest = getLatestSnapshots();
+    if (!latest) {
+      console.log(`Для сравнения нужно не меньше двух снимков в ${config.import.snapshotDir}`);
+      return;
+    }
+
+    console.log(`Сравнение снимков ${latest.previous.date} -> ${latest.current.date}`);
+    const removed = await diffSnapshots(latest.previous, latest.current);
+    for (const [collection, codes] of Object.entries(removed)) {
+      console.log(`\n${collection}: пропало ${codes.length}`);
+      for (const code of codes) {
+        console.log(`  ${code}`);
+      }
+    }
+  } catch (error) {
+    console.error('Ошибка:', error);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  SNAPSHOT_FILES,
+  listSnapshots,
+  getLatestSnapshots,
+  saveSnapshot,
+  findRemovedCodes,
+  diffSnapshots,
+  recordSnapshotHistory
+};
+
+// Запуск
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,83 @@
+require('dotenv').config();
+const { initDatabase, closeDatabase, getRedirectCandidates, promoteCandidate, getErrorSources } = require('./db');
+
+/**
+ * Вывод кандидатов для исходного URL
+ * @param {string} fromUrl - исходный URL
+ * @returns {Array} кандидаты
+ */
+function printCandidates(fromUrl) {
+  const candidates = getRedirectCandidates(fromUrl);
+
+  if (candidates.length === 0) {
+    console.log(`Кандидаты для ${fromUrl} не найдены`);
+    return candidates;
+  }
+
+  const sources = getErrorSources(fromUrl)
+    .map(source => `${source.source} (обращений: ${source.hits}, последнее: ${source.last_seen || '-'})`);
+  if (sources.length > 0) {
+    console.log(`Источники ошибки: ${sources.join(', ')}`);
+  }
+
+  console.log(`Кандидаты для ${fromUrl}:`);
+  for (const candidate of candidates) {
+    console.log(`  ${candidate.rank}. ${candidate.to_url} (${candidate.percent.toFixed(1)}%, ${candidate.strategy})`);
+  }
+
+  return candidates;
+}
+
+/**
+ * Основная функция
+ * Использование:
+ *   node reviewCandidates.js <from_url>          - показать кандидатов
+ *   node reviewCandidates.js <from_url> <rank>   - выбрать кандидата с номером rank для редиректа
+ */
+function main() {
+  const [fromUrl, rankArg] = process.argv.slice(2);
+
+  if (!fromUrl) {
+    console.log('Использование:');
+    console.log('  npm run review -- <from_url>          показать кандидатов');
+    console.log('  npm run review -- <from_url> <rank>   выбрать кандидата для редиректа');
+    process.exit(1);
+  }
+
+  try {
+    initDatabase();
+
+    if (rankArg === undefined) {
+      printCandidates(fromUrl);
+      return;
+    }
+
+    const rank = parseInt(rankArg, 10);
+    if (isNaN(rank) || rank < 1) {
+      console.error('Ошибка: номер кандидата должен быть целым числом >= 1');
+      process.exitCode = 1;
+      return;
+    }
+
+    if (promoteCandidate(fromUrl, rank)) {
+      console.log(`✓ Для ${fromUrl} выбран кандидат ${rank}`);
+    } else {
+      console.error(`✗ Кандидат ${rank} для ${fromUrl} не найден`);
+      process.exitCode = 1;
+    }
+
+    printCandidates(fromUrl);
+  } catch (error) {
+    console.error('Ошибка:', error);
+    process.exitCode = 1;
+  } finally {
+    closeDatabase();
+  }
+}
+
+// Запуск
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
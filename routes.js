@@ -0,0 +1,149 @@
+/**
+ * Способы извлечения slug из пути
+ * - segments: сегменты пути после совпадения pattern, последний - код, предыдущие - родительские категории
+ * - lastSegment: только последний сегмент пути
+ * - group: именованные группы pattern: (?<code>...) и необязательная (?<parents>...) (через "/")
+ */
+const EXTRACTORS = {
+  segments: (pathname, match) => {
+    const segments = pathname
+      .slice(match.index + match[0].length)
+      .split('/')
+      .filter(segment => segment.length > 0);
+    return { code: segments[segments.length - 1], parents: segments.slice(0, -1) };
+  },
+  lastSegment: (pathname) => {
+    const segments = pathname.split('/').filter(segment => segment.length > 0);
+    return { code: segments[segments.length - 1], parents: [] };
+  },
+  group: (pathname, match) => {
+    const groups = match.groups || {};
+    const parents = groups.parents ? groups.parents.split('/').filter(segment => segment.length > 0) : [];
+    return { code: groups.code, parents };
+  }
+};
+
+/**
+ * Проверка и подготовка конфигурации маршрутов (routes.json)
+ * Правило: name, pattern (регулярное выражение для пути URL), extractor (см. EXTRACTORS),
+ * collection (справочник для поиска), alternatives (другие справочники для классификатора типа)
+ * и необязательный target (шаблон целевого URL, по умолчанию target справочника)
+ * @param {{collections: Object, rules: Array<Object>}} routeConfig - конфигурация из routes.json
+ * @returns {{collections: Object, rules: Array<Object>}} конфигурация с скомпилированными шаблонами
+ */
+function compileRoutes(routeConfig) {
+  if (!routeConfig || !routeConfig.collections || !Array.isArray(routeConfig.rules)) {
+    throw new Error('Конфигурация маршрутов должна содержать объект collections и массив rules');
+  }
+
+  const collections = routeConfig.collections;
+  for (const [name, collection] of Object.entries(collections)) {
+    if (!collection.target) {
+      throw new Error(`Для справочника ${name} не задан шаблон целевого URL (target)`);
+    }
+  }
+
+  const rules = routeConfig.rules.map((rule, i) => {
+    const name = rule.name || `rule${i + 1}`;
+    const extractor = rule.extractor || 'segments';
+    const alternatives = rule.alternatives || [];
+
+    if (!rule.pattern) {
+      throw new Error(`В правиле ${name} не задан pattern`);
+    }
+    if (!EXTRACTORS[extractor]) {
+      throw new Error(`Неизвестный способ извлечения slug в правиле ${name}: ${extractor}. Доступны: ${Object.keys(EXTRACTORS).join(', ')}`);
+    }
+    for (const collection of [rule.collection, ...alternatives]) {
+      if (!collections[collection]) {
+        throw new Error(`Справочник ${collection} из правила ${name} не описан в collections`);
+      }
+    }
+
+    // Шаблон целевого URL правила заменяет шаблон его основного справочника
+    const targets = {};
+    for (const [collectionName, collection] of Object.entries(collections)) {
+      targets[collectionName] = collection.target;
+    }
+    if (rule.target) {
+      targets[rule.collection] = rule.target;
+    }
+
+    return {
+      name,
+      regex: new RegExp(rule.pattern),
+      extractor: EXTRACTORS[extractor],
+      collection: rule.collection,
+      alternatives,
+      targets
+    };
+  });
+
+  return { collections, rules };
+}
+
+/**
+ * Путь URL без домена, query string и hash (декодированный)
+ * @param {string} url - URL
+ * @returns {string} путь
+ */
+function getUrlPath(url) {
+  const decodedUrl = decodeURIComponent(url);
+  return decodedUrl.replace(/^https?:\/\/[^\/]+/, '').split(/[?#]/)[0];
+}
+
+/**
+ * Поиск первого подходящего правила для URL
+ * @param {string} url - URL
+ * @param {{rules: Array<Object>}} routes - подготовленная конфигурация (см. compileRoutes)
+ * @returns {{rule: Object, code: string, parents: Array<string>}|null} правило и slug или null
+ */
+function matchRoute(url, routes) {
+  let pathname;
+  try {
+    pathname = getUrlPath(url);
+  } catch (error) {
+    console.error(`Ошибка при разборе URL ${url}:`, error.message);
+    return null;
+  }
+
+  for (const rule of routes.rules) {
+    const match = rule.regex.exec(pathname);
+    if (!match) continue;
+
+    const { code, parents } = rule.extractor(pathname, match);
+    if (!code) {
+      return null;
+    }
+
+    return { rule, code, parents };
+  }
+
+  return null;
+}
+
+/**
+ * Построение целевого URL для кандидата
+ * @param {{code: string, type: string}} match - кандидат (type - имя справочника или 'search')
+ * @param {Object} targets - шаблоны целевых URL по справочникам (rule.targets)
+ * @param {string} searchUrlTemplate - шаблон URL поиска по сайту
+ * @returns {string} целевой URL
+ */
+function buildTargetUrl(match, targets, searchUrlTemplate) {
+  if (match.type === 'search') {
+    return searchUrlTemplate.replace('{query}', encodeURIComponent(match.code));
+  }
+
+  const template = targets[match.type];
+  if (!template) {
+    throw new Error(`Не задан шаблон целевого URL для справочника ${match.type}`);
+  }
+  return template.replace('{code}', match.code);
+}
+
+module.exports = {
+  EXTRACTORS,
+  compileRoutes,
+  matchRoute,
+  buildTargetUrl
+};
@@ -0,0 +1,173 @@
+require('dotenv').config();
+const { initDatabase, closeDatabase, getRuns, getRunRedirects } = require('./db');
+
+/**
+ * Сравнение снимков редиректов двух запусков
+ * @param {Array<{from_url: string, to_url: string}>} before - редиректы раннего запуска
+ * @param {Array<{from_url: string, to_url: string}>} after - редиректы позднего запуска
+ * @returns {{added: Array<Object>, removed: Array<Object>, changed: Array<{from_url: string, before: Object, after: Object}>}}
+ * новые редиректы, удаленные редиректы и редиректы с измененным целевым URL
+ */
+function diffRuns(before, after) {
+  const beforeByFrom = new Map(before.map(redirect => [redirect.from_url, redirect]));
+  const afterByFrom = new Map(after.map(redirect => [redirect.from_url, redirect]));
+
+  const added = after.filter(redirect => !beforeByFrom.has(redirect.from_url));
+  const removed = before.filter(redirect => !afterByFrom.has(redirect.from_url));
+  const changed = [];
+  for (const redirect of after) {
+    const previous = beforeByFrom.get(redirect.from_url);
+    if (previous && previous.to_url !== redirect.to_url) {
+      changed.push({ from_url: redirect.from_url, before: previous, after: redirect });
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Вывод списка запусков
+ */
+function printRuns() {
+  const runs = getRuns();
+
+  if (runs.length === 0) {
+    console.log('Запусков пока нет');
+    return;
+  }
+
+  for (const run of runs) {
+    const stats = run.stats || {};
+    const references = Object.entries(run.reference_counts || {})
+      .map(([collection, count]) => `${collection}: ${count}`)
+      .join(', ');
+    console.log(`#${run.id} ${run.started_at} ${run.mode} ${run.status}` +
+      (run.status === 'finished' ? `, ошибок: ${stats.errors}, найдено редиректов: ${stats.redirects}` : '') +
+      (references ? ` (${references})` : '') +
+      (run.error ? `: ${run.error}` : ''));
+  }
+}
+
+/**
+ * Вывод подробностей запуска
+ * @param {number} runId - id запуска
+ */
+function printRun(runId) {
+  const [run] = getRuns(runId);
+
+  if (!run) {
+    console.error(`✗ Запуск #${runId} не найден`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`Запуск #${run.id} (${run.mode}, ${run.status})`);
+  console.log(`  Начат: ${run.started_at}, завершен: ${run.finished_at || '-'}`);
+  console.log('  Входные файлы:');
+  for (const [file, hash] of Object.entries(run.input_hashes || {})) {
+    console.log(`    ${file}: ${hash || 'нет файла'}`);
+  }
+  console.log(`  Справочники: ${JSON.stringify(run.reference_counts)}`);
+  console.log(`  Настройки: ${JSON.stringify(run.settings)}`);
+  console.log(`  Статистика: ${JSON.stringify(run.stats)}`);
+  if (run.error) {
+    console.log(`  Ошибка: ${run.error}`);
+  }
+}
+
+/**
+ * Вывод различий между двумя запусками
+ * @param {number} fromRunId - id раннего запуска
+ * @param {number} toRunId - id позднего запуска
+ */
+function printDiff(fromRunId, toRunId) {
+  for (const runId of [fromRunId, toRunId]) {
+    const [run] = getRuns(runId);
+    if (!run || run.status !== 'finished') {
+      console.error(`✗ Запуск #${runId} не найден или не завершен`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  const { added, removed, changed } = diffRuns(getRunRedirects(fromRunId), getRunRedirects(toRunId));
+
+  console.log(`Изменения между запусками #${fromRunId} и #${toRunId}:`);
+  console.log(`\nНовые редиректы (${added.length}):`);
+  for (const redirect of added) {
+    console.log(`  + ${redirect.from_url} -> ${redirect.to_url} (${redirect.percent.toFixed(1)}%, ${redirect.strategy})`);
+  }
+  console.log(`\nУдаленные редиректы (${removed.length}):`);
+  for (const redirect of removed) {
+    console.log(`  - ${redirect.from_url} -> ${redirect.to_url}`);
+  }
+  console.log(`\nИзмененные цели (${changed.length}):`);
+  for (const { from_url, before, after } of changed) {
+    console.log(`  ~ ${from_url}`);
+    console.log(`      было:  ${before.to_url} (${before.percent.toFixed(1)}%, ${before.strategy})`);
+    console.log(`      стало: ${after.to_url} (${after.percent.toFixed(1)}%, ${after.strategy})`);
+  }
+}
+
+/**
+ * Основная функция
+ * Использование:
+ *   node runs.js                      - список запусков
+ *   node runs.js show <id>            - подробности запуска
+ *   node runs.js diff [<id1> <id2>]   - различия между запусками (по умолчанию два последних завершенных)
+ */
+function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    initDatabase();
+
+    if (!command) {
+      printRuns();
+      return;
+    }
+
+    if (command === 'show' && args.length === 1) {
+      printRun(parseInt(args[0], 10));
+      return;
+    }
+
+    if (command === 'diff') {
+      let runIds = args.map(arg => parseInt(arg, 10));
+      if (runIds.length === 0) {
+        runIds = getRuns()
+          .filter(run => run.status === 'finished')
+          .slice(-2)
+          .map(run => run.id);
+        if (runIds.length < 2) {
+          console.error('✗ Для сравнения нужно хотя бы два завершенных запуска');
+          process.exitCode = 1;
+          return;
+        }
+      }
+
+      if (runIds.length === 2 && runIds.every(runId => !isNaN(runId))) {
+        printDiff(runIds[0], runIds[1]);
+        return;
+      }
+    }
+
+    console.log('Использование:');
+    console.log('  npm run runs                          список запусков');
+    console.log('  npm run runs -- show <id>             подробности запуска');
+    console.log('  npm run runs -- diff [<id1> <id2>]    различия между запусками');
+    process.exitCode = 1;
+  } catch (error) {
+    console.error('Ошибка:', error);
+    process.exitCode = 1;
+  } finally {
+    closeDatabase();
+  }
+}
+
+// Запуск
+if (require.main === module) {
+  main();
+}
+
+module.exports = { diffRuns, main };
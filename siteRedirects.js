@@ -0,0 +1,57 @@
+const { insertSiteRedirectSources, getSiteRedirectsToCheck, updateSiteRedirect } = require('./db');
+const { checkUrls } = require('./urlChecker');
+const { readCrawlCsv } = require('./importers/crawlCsv');
+const config = require('./config');
+
+// Коды ответа, означающие существующий редирект
+const REDIRECT_STATUSES = [301, 302, 307, 308];
+
+/**
+ * Чтение существующих редиректов сайта из CSV обхода
+ * CSV содержит только исходный URL и код ответа (колонки url и currentHttpCode), цель редиректа не указана
+ * @param {Array<string>} csvFiles - пути к CSV файлам
+ * @returns {Array<{url: string, csvStatus: number}>} уникальные источники редиректов
+ */
+function readSiteRedirectSources(csvFiles) {
+  return readCrawlCsv(csvFiles, { host: config.import.host, statuses: REDIRECT_STATUSES })
+    .map(record => ({ url: record.url, csvStatus: record.status }));
+}
+
+/**
+ * Загрузка существующих редиректов сайта: источники из CSV, цели - по GET запросу
+ * Цель - финальный URL после всех редиректов, статус - статус финальной страницы
+ * @param {Array<string>} csvFiles - пути к CSV файлам обхода
+ * @param {Object} options - опции загрузки
+ * @param {number} options.concurrency - количество одновременных запросов (по умолчанию config.http.concurrency);
+ * лимит запросов в секунду общий для всех проверок URL (см. urlChecker.js)
+ * @param {number|null} options.maxAgeHours - не перепроверять цели новее maxAgeHours часов,
+ * null - проверить все (по умолчанию null)
+ * @returns {Promise<{sources: number, checked: number, resolved: number}>} статистика загрузки
+ */
+async function loadSiteRedirects(csvFiles, options = {}) {
+  const { concurrency = config.http.concurrency, maxAgeHours = null } = options;
+
+  const sources = readSiteRedirectSources(csvFiles);
+  const inserted = insertSiteRedirectSources(sources);
+  console.log(`[siteRedirects] Редиректов сайта в CSV: ${sources.length}, новых: ${inserted}`);
+
+  const urls = getSiteRedirectsToCheck(maxAgeHours);
+  const stats = { sources: sources.length, checked: 0, resolved: 0 };
+  console.log(`[siteRedirects] Определение целей для ${urls.length} URL, параллелизм: ${concurrency}`);
+
+  await checkUrls(urls, (url, result) => {
+    updateSiteRedirect(url, result.finalUrl, result.status);
+    stats.checked++;
+    if (result.finalUrl) {
+      stats.resolved++;
+    }
+  }, { concurrency });
+
+  console.log(`[siteRedirects] ✓ Проверено ${stats.checked}, редиректят: ${stats.resolved}`);
+  return stats;
+}
+
+module.exports = {
+  readSiteRedirectSources,
+  loadSiteRedirects
+};
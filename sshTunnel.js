@@ -0,0 +1,107 @@
+const { spawn } = require('child_process');
+const net = require('net');
+
+// Интервал проверки готовности локального порта туннеля
+const POLL_INTERVAL_MS = 200;
+
+/**
+ * Свободный локальный порт (выбирается системой)
+ * @returns {Promise<number>} номер порта
+ */
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Проверка, что локальный порт принимает подключения
+ * @param {number} port - порт
+ * @returns {Promise<boolean>}
+ */
+function canConnect(port) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ host: '127.0.0.1', port });
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once('error', () => resolve(false));
+  });
+}
+
+/**
+ * Открытие SSH туннеля (ssh -L) с локального порта до адреса, доступного с SSH сервера
+ * Используется системный клиент ssh: ключи, known_hosts и ~/.ssh/config работают как при ручном подключении,
+ * пароль не запрашивается (BatchMode)
+ * @param {Object} options - параметры туннеля
+ * @param {string} options.host - SSH сервер ('user@host')
+ * @param {string} options.remoteHost - хост назначения, как он виден с SSH сервера
+ * @param {number} options.remotePort - порт назначения
+ * @param {number} options.localPort - локальный порт (0 - любой свободный)
+ * @param {number} options.timeoutMs - время ожидания готовности туннеля
+ * @param {Function} options.spawnProcess - запуск процесса ssh (по умолчанию child_process.spawn)
+ * @returns {Promise<{localPort: number, close: Function}>} локальный порт туннеля и закрытие туннеля
+ */
+async function openSshTunnel(options) {
+  const { host, remoteHost, remotePort, localPort = 0, timeoutMs = 10000, spawnProcess = spawn } = options;
+  const port = localPort || await findFreePort();
+
+  const child = spawnProcess('ssh', [
+    '-N',
+    '-L', `127.0.0.1:${port}:${remoteHost}:${remotePort}`,
+    '-o', 'BatchMode=yes',
+    '-o', 'ExitOnForwardFailure=yes',
+    '-o', `ConnectTimeout=${Math.max(1, Math.ceil(timeoutMs / 1000))}`,
+    host
+  ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+  let stderr = '';
+  let exit = null;
+  child.stderr.on('data', (data) => {
+    stderr += data;
+  });
+  child.once('exit', (code, signal) => {
+    exit = { code, signal };
+  });
+  child.once('error', (error) => {
+    exit = { error };
+  });
+
+  const close = () => new Promise((resolve) => {
+    if (exit) {
+      resolve();
+      return;
+    }
+    child.once('exit', () => resolve());
+    child.kill();
+  });
+
+  const deadline = Date.now() + timeoutMs;
+  while (!(await canConnect(port))) {
+    if (exit) {
+      if (exit.error) {
+        throw new Error(`Не удалось запустить ssh: ${exit.error.message}`);
+      }
+      throw new Error(`SSH туннель до ${host} не открыт (код выхода ${exit.code}): ${stderr.trim() || 'нет вывода'}`);
+    }
+    if (Date.now() > deadline) {
+      await close();
+      throw new Error(`SSH туннель до ${host} не открылся за ${timeoutMs} мс`);
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+
+  console.log(`✓ SSH туннель до ${host}: 127.0.0.1:${port} -> ${remoteHost}:${remotePort}`);
+  return { localPort: port, close };
+}
+
+module.exports = {
+  findFreePort,
+  openSshTunnel
+};
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { parseTimeLocal, readAccessLogs } = require('../importers/accessLog');
+
+// Сводка по файлам логов в выводе тестов не нужна
+mock.method(console, 'log', () => {});
+
+const OPTIONS = { host: 'https://frizar.ru', statuses: [404, 410] };
+
+/**
+ * Строка access лога nginx в формате combined
+ * @param {string} time - $time_local
+ * @param {string} request - "$request"
+ * @param {number} status - статус ответа
+ * @returns {string}
+ */
+function logLine(time, request, status) {
+  return `203.0.113.7 - - [${time}] "${request}" ${status} 153 "https://frizar.ru/" "Mozilla/5.0 (X11; Linux x86_64)"`;
+}
+
+test('parseTimeLocal переводит время nginx в UTC', () => {
+  assert.strictEqual(parseTimeLocal('10/Oct/2026:13:55:36 +0300'), '2026-10-10 10:55:36');
+  assert.strictEqual(parseTimeLocal('01/Jan/2026:00:30:00 +0100'), '2025-12-31 23:30:00');
+  assert.strictEqual(parseTimeLocal('31/Dec/2026:23:00:00 -0130'), '2027-01-01 00:30:00');
+  assert.strictEqual(parseTimeLocal('10/Foo/2026:13:55:36 +0300'), null);
+  assert.strictEqual(parseTimeLocal('2026-10-10 13:55:36'), null);
+});
+
+test('readAccessLogs объединяет GET и HEAD запросы с ошибками из обычных и сжатых логов', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'access-log-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const current = path.join(dir, 'access.log');
+  fs.writeFileSync(current, [
+    logLine('10/Oct/2026:13:55:36 +0300', 'GET /product/old-sofa?utm_source=ya HTTP/1.1', 404),
+    '',
+    logLine('10/Oct/2026:14:00:00 +0300', 'GET /product/old-sofa HTTP/1.1', 410),
+    logLine('10/Oct/2026:14:05:00 +0300', 'HEAD /catalog/chairs#top HTTP/1.1', 404),
+    logLine('10/Oct/2026:14:06:00 +0300', 'POST /product/old-sofa HTTP/1.1', 404),
+    logLine('10/Oct/2026:14:07:00 +0300', 'GET /product/new-sofa HTTP/1.1', 200),
+    logLine('10/Oct/2026:14:08:00 +0300', 'GET /product/broken HTTP/1.1', 500),
+    'не строка лога nginx'
+  ].join('\n') + '\n');
+
+  const rotated = path.join(dir, 'access.log.1.gz');
+  fs.writeFileSync(rotated, zlib.gzipSync(
+    logLine('09/Oct/2026:08:00:00 +0300', 'GET /product/old-sofa HTTP/1.1', 404) + '\r\n' +
+    logLine('09/Oct/2026:09:00:00 +0300', 'GET /catalog/tables?gclid=abc HTTP/1.1', 404) + '\r\n'
+  ));
+
+  const records = await readAccessLogs([current, rotated], OPTIONS);
+
+  assert.deepStrictEqual(records, [
+    { url: 'https://frizar.ru/product/old-sofa', source: 'access_log', hits: 3, lastSeen: '2026-10-10 11:00:00', status: 410 },
+    { url: 'https://frizar.ru/catalog/chairs', source: 'access_log', hits: 1, lastSeen: '2026-10-10 11:05:00', status: 404 },
+    { url: 'https://frizar.ru/catalog/tables', source: 'access_log', hits: 1, lastSeen: '2026-10-09 06:00:00', status: 404 }
+  ]);
+});
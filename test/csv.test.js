@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCsv, detectDelimiter, decodeBuffer, readCsvFile } = require('../csv');
+
+test('parseCsv разбирает поля в кавычках с разделителями, переводами строк и экранированными кавычками', () => {
+  const text = 'url,title\r\n' +
+    'https://frizar.ru/a,"Диван, угловой"\r\n' +
+    '"https://frizar.ru/b","Кресло ""Люкс""\nс подушкой"\n' +
+    '\n' +
+    'https://frizar.ru/c,';
+
+  assert.deepStrictEqual(parseCsv(text), [
+    ['url', 'title'],
+    ['https://frizar.ru/a', 'Диван, угловой'],
+    ['https://frizar.ru/b', 'Кресло "Люкс"\nс подушкой'],
+    ['https://frizar.ru/c', '']
+  ]);
+});
+
+test('parseCsv принимает другой разделитель и переводы строк \\r', () => {
+  assert.deepStrictEqual(parseCsv('a;b;c\r1;"2;3";\r', ';'), [
+    ['a', 'b', 'c'],
+    ['1', '2;3', '']
+  ]);
+  assert.deepStrictEqual(parseCsv(''), []);
+  assert.deepStrictEqual(parseCsv('\n\r\n'), []);
+});
+
+test('detectDelimiter выбирает самый частый разделитель заголовка вне кавычек', () => {
+  assert.strictEqual(detectDelimiter('url;currentHttpCode;prevHttpCode\nhttps://frizar.ru/a,b;404;200'), ';');
+  assert.strictEqual(detectDelimiter('url\tstatus\n'), '\t');
+  assert.strictEqual(detectDelimiter('"a,b,c"|status|date'), '|');
+  assert.strictEqual(detectDelimiter('url\nhttps://frizar.ru/a;404'), ',');
+});
+
+test('decodeBuffer определяет кодировку по BOM и отличает windows-1251 от UTF-8', () => {
+  const text = 'url;название\nhttps://frizar.ru/a;Диван';
+  const utf16be = Buffer.from(text, 'utf16le').swap16();
+
+  assert.deepStrictEqual(decodeBuffer(Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from(text)])),
+    { text, encoding: 'utf-8' });
+  assert.deepStrictEqual(decodeBuffer(Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(text, 'utf16le')])),
+    { text, encoding: 'utf-16le' });
+  assert.deepStrictEqual(decodeBuffer(Buffer.concat([Buffer.from([0xFE, 0xFF]), utf16be])),
+    { text, encoding: 'utf-16be' });
+  assert.deepStrictEqual(decodeBuffer(Buffer.from(text)), { text, encoding: 'utf-8' });
+  // "Диван" в windows-1251 - некорректный UTF-8
+  assert.deepStrictEqual(decodeBuffer(Buffer.from([0xC4, 0xE8, 0xE2, 0xE0, 0xED])),
+    { text: 'Диван', encoding: 'windows-1251' });
+});
+
+test('readCsvFile читает строки по заголовкам с автоопределением разделителя и кодировки', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'crawl.csv');
+  const text = ' url ;currentHttpCode;title\r\nhttps://frizar.ru/a; 404 ;"Диван; угловой"\r\nhttps://frizar.ru/b;200\r\n';
+  fs.writeFileSync(filePath, Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(text, 'utf16le')]));
+
+  assert.deepStrictEqual(readCsvFile(filePath), {
+    headers: ['url', 'currentHttpCode', 'title'],
+    rows: [
+      { url: 'https://frizar.ru/a', currentHttpCode: '404', title: 'Диван; угловой' },
+      { url: 'https://frizar.ru/b', currentHttpCode: '200', title: undefined }
+    ],
+    delimiter: ';',
+    encoding: 'utf-16le'
+  });
+});
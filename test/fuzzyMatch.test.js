@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { readCsvFile } = require('../csv');
+const {
+  normalizeString,
+  extractNumericTokens,
+  findTopMatches,
+  findTopMatchesOptimized,
+  findBestMatch,
+  findBestMatchOptimized
+} = require('../fuzzyMatch');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Проверка чисел и артикулов со штрафами по умолчанию (NUMERIC_*)
+const PENALIZE = { mode: 'penalize', numberPenalty: 0.6, articlePenalty: 0.3 };
+
+/**
+ * Коды страниц из CSV обхода в data/ (последний сегмент пути /product/ и /catalog/)
+ * @returns {Array<string>} коды без повторов
+ */
+function readCrawlCodes() {
+  const codes = new Set();
+  for (const file of fs.readdirSync(DATA_DIR).filter(file => file.toLowerCase().endsWith('.csv'))) {
+    const { rows } = readCsvFile(path.join(DATA_DIR, file));
+    for (const row of rows) {
+      const match = (row.url || '').match(/^\/(?:product|catalog)\/(?:.*\/)?([^/?#]+)$/);
+      if (match) codes.add(match[1]);
+    }
+  }
+  return [...codes];
+}
+
+/**
+ * Искаженный код: опечатка, пропущенный символ и другое написание транслитерации
+ * @param {string} code - код
+ * @param {number} i - номер варианта
+ * @returns {string}
+ */
+function distort(code, i) {
+  const at = (i * 7) % code.length;
+  switch (i % 3) {
+    case 0: return code.slice(0, at) + code.slice(at + 1);
+    case 1: return code.slice(0, at) + 'q' + code.slice(at + 1);
+    default: return code.replace(/kh/g, 'h').replace(/ts/g, 'c') + '_new';
+  }
+}
+
+const codes = readCrawlCodes();
+// Справочник - четные коды, запросы - искаженные коды справочника и коды, которых в нем нет
+const references = codes.filter((code, i) => i % 2 === 0).map(code => ({ code }));
+const queries = codes
+  .filter((code, i) => i % 50 === 0 || i % 50 === 1)
+  .map((code, i) => (i % 2 === 0 ? distort(code, i) : code));
+
+test('в CSV обхода есть коды для сравнения', () => {
+  assert.ok(references.length > 100, `кодов справочника: ${references.length}`);
+  assert.ok(queries.length > 40, `запросов: ${queries.length}`);
+});
+
+for (const numericMode of ['penalize', 'reject', 'off']) {
+  test(`поиск по индексу совпадает с полным перебором (NUMERIC_MODE=${numericMode})`, () => {
+    const options = { numeric: { mode: numericMode }, limit: 5 };
+    for (const query of queries) {
+      assert.deepStrictEqual(
+        findTopMatchesOptimized(query, references, options),
+        findTopMatches(query, references, options),
+        query
+      );
+      assert.deepStrictEqual(
+        findBestMatchOptimized(query, references, options),
+        findBestMatch(query, references, options),
+        query
+      );
+    }
+  });
+}
+
+test('при равных процентах побеждает первый код, как при полном переборе', () => {
+  const tied = [{ code: 'sverlo_10' }, { code: 'sverlo_11' }, { code: 'sverlo_12' }];
+  assert.strictEqual(findBestMatchOptimized('sverlo_1x', tied, { numeric: { mode: 'off' } }).code, 'sverlo_10');
+  assert.deepStrictEqual(
+    findTopMatchesOptimized('sverlo_1x', tied, { numeric: { mode: 'off' } }),
+    findTopMatches('sverlo_1x', tied, { numeric: { mode: 'off' } })
+  );
+});
+
+test('extractNumericTokens выделяет числа, размеры и артикулы', () => {
+  assert.deepStrictEqual(extractNumericTokens('plita_250x250mm_0_05'), { numbers: ['250×250mm', '0', '05'], articles: ['0_05'] });
+  assert.deepStrictEqual(extractNumericTokens('8301_0009_a'), { numbers: ['8301', '0009'], articles: ['8301_0009_a'] });
+  assert.deepStrictEqual(extractNumericTokens('sverlo_td844536'), { numbers: ['td844536'], articles: ['td844536'] });
+});
+
+test('другое число в размере штрафуется: plita_250x250mm_0_05 и plita_250x250mm_0_06', () => {
+  const match = findBestMatch('plita_250x250mm_0_05', [{ code: 'plita_250x250mm_0_06' }], { numeric: PENALIZE });
+
+  assert.strictEqual(match.details.base, 95);
+  // Одно несовпадение числа (05 -> 06) и одно несовпадение артикула (0_05 -> 0_06)
+  assert.deepStrictEqual(match.details.numbers, { matched: ['250×250mm', '0'], missing: ['05'], extra: ['06'] });
+  assert.strictEqual(match.details.penalty, 0.6 * 0.3);
+  assert.ok(match.percent < 20, `процент: ${match.percent}`);
+});
+
+test('другая буква артикула больше не дает ~95%: 8301_0009_a и 8301_0009_b', () => {
+  const candidates = [{ code: '8301_0009_b' }];
+
+  assert.ok(findBestMatch('8301_0009_a', candidates, { numeric: { mode: 'off' } }).percent > 90);
+  const match = findBestMatch('8301_0009_a', candidates, { numeric: PENALIZE });
+  assert.deepStrictEqual(match.details.articles, { matched: [], missing: ['8301_0009_a'], extra: ['8301_0009_b'] });
+  assert.ok(match.percent < 30, `процент: ${match.percent}`);
+  assert.strictEqual(findBestMatch('8301_0009_a', candidates, { numeric: { mode: 'reject' } }), null);
+  assert.strictEqual(findBestMatch('8301_0009_a', [{ code: '8301_0009_a_new' }], { numeric: PENALIZE }).details.penalty, 1);
+});
+
+test('normalizeString приводит варианты транслитерации к одному написанию', () => {
+  const same = (variants) => {
+    const normalized = variants.map(normalizeString);
+    assert.deepStrictEqual(normalized, variants.map(() => normalized[0]), variants.join(', '));
+  };
+
+  same(['kholodilnik', 'holodilnik', 'xolodilnik']);
+  same(['yolka', 'elka']);
+  same(['shchetka', 'schetka', 'shhetka']);
+});
+
+test('normalizeString сохраняет x между цифрами как разделитель размеров', () => {
+  for (const code of ['plita_250x250', 'plita_250kh250', 'plita_250х250', 'plita_250*250', 'plita_250 x 250']) {
+    assert.strictEqual(normalizeString(code), 'plita_250×250', code);
+  }
+  // Размер не сливается с транслитерацией kh/h/x и не совпадает с числом без разделителя
+  assert.notStrictEqual(normalizeString('plita_250x250'), normalizeString('plita_250h250'));
+  assert.notStrictEqual(normalizeString('plita_250x250'), normalizeString('plita_250250'));
+});
+
+test('scorer token не зависит от порядка токенов в slug', () => {
+  const candidates = [{ code: 'oslo_divan_uglovoy' }];
+
+  assert.deepStrictEqual(findBestMatch('divan_uglovoy_oslo', candidates, { scorer: 'token' }),
+    { code: 'oslo_divan_uglovoy', percent: 100, details: { scorer: 'token', base: 100 } });
+  assert.strictEqual(findBestMatch('divan-uglovoy-oslo', candidates, { scorer: 'token' }).percent, 100);
+  assert.ok(findBestMatch('divan_uglovoy_oslo', candidates, { scorer: 'levenshtein' }).percent < 60);
+});
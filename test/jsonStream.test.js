@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { streamJsonArray, streamJsonLines, streamJsonRecords, forEachChunk } = require('../jsonStream');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-stream-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+let fileIndex = 0;
+
+/**
+ * Временный файл с указанным содержимым
+ * @param {string} content - содержимое
+ * @param {string} extension - расширение файла
+ * @returns {string} путь к файлу
+ */
+function writeFile(content, extension = '.json') {
+  const filePath = path.join(tmpDir, `records-${fileIndex++}${extension}`);
+  fs.writeFileSync(filePath, content, 'utf8');
+  return filePath;
+}
+
+/**
+ * Все записи асинхронного генератора
+ * @param {AsyncIterable<*>} records - записи
+ * @returns {Promise<Array<*>>}
+ */
+async function collect(records) {
+  const result = [];
+  for await (const record of records) {
+    result.push(record);
+  }
+  return result;
+}
+
+test('streamJsonArray разбирает вложенные объекты и строки со скобками, запятыми и кавычками', async () => {
+  const records = [
+    { url: 'https://frizar.ru/a,b', tags: ['x', { y: ']' }] },
+    { url: 'https://frizar.ru/"quoted"\\', nested: { list: [1, 2, [3]] } },
+    'строка',
+    42,
+    null
+  ];
+  const filePath = writeFile('﻿\n  ' + JSON.stringify(records, null, 2) + '\n\n');
+
+  assert.deepStrictEqual(await collect(streamJsonArray(filePath)), records);
+});
+
+test('streamJsonArray собирает элементы, разрезанные границами кусков файла', async () => {
+  // Файл больше нескольких кусков потока чтения (64 КБ)
+  const records = Array.from({ length: 5000 }, (_, i) => ({
+    url: `https://frizar.ru/product/item-${i}`,
+    note: `{[,"\\]}` + 'x'.repeat(i % 37)
+  }));
+  const filePath = writeFile(JSON.stringify(records));
+
+  assert.deepStrictEqual(await collect(streamJsonArray(filePath)), records);
+});
+
+test('streamJsonArray принимает пустой массив', async () => {
+  assert.deepStrictEqual(await collect(streamJsonArray(writeFile(' [ ] '))), []);
+});
+
+test('streamJsonArray сообщает об ошибках формата', async () => {
+  await assert.rejects(collect(streamJsonArray(writeFile('{"url": "a"}'))), /Файл должен содержать массив объектов/);
+  await assert.rejects(collect(streamJsonArray(writeFile('[{"url": "a"},'))), /Незавершенный JSON массив/);
+  await assert.rejects(collect(streamJsonArray(writeFile('[{"url": "a"}] {}'))), /Лишние данные после JSON массива/);
+  await assert.rejects(collect(streamJsonArray(writeFile('[{"url": "a"}, {url: b}]'))), /Некорректный элемент 2 JSON массива/);
+});
+
+test('streamJsonLines пропускает пустые строки и сообщает номер некорректной строки', async () => {
+  const filePath = writeFile('﻿{"url": "a"}\r\n\r\n  {"url": "b"}  \n', '.ndjson');
+  assert.deepStrictEqual(await collect(streamJsonLines(filePath)), [{ url: 'a' }, { url: 'b' }]);
+
+  const broken = writeFile('{"url": "a"}\n\n{"url": \n', '.jsonl');
+  await assert.rejects(collect(streamJsonLines(broken)), /Некорректная строка 3/);
+});
+
+test('streamJsonRecords определяет формат по расширению и первому символу', async () => {
+  const records = [{ url: 'a' }, { url: 'b' }];
+
+  assert.deepStrictEqual(await collect(await streamJsonRecords(writeFile(JSON.stringify(records)))), records);
+  assert.deepStrictEqual(await collect(await streamJsonRecords(writeFile('{"url": "a"}\n{"url": "b"}\n'))), records);
+  assert.deepStrictEqual(await collect(await streamJsonRecords(writeFile('{"url": "a"}\n{"url": "b"}\n', '.jsonl'))), records);
+  await assert.rejects(collect(await streamJsonRecords(writeFile(''))), /Незавершенный JSON массив/);
+});
+
+test('forEachChunk передает записи пачками не больше chunkSize', async () => {
+  const chunks = [];
+  const total = await forEachChunk([1, 2, 3, 4, 5, 6, 7], 3, async (chunk) => {
+    chunks.push([...chunk]);
+  });
+
+  assert.strictEqual(total, 7);
+  assert.deepStrictEqual(chunks, [[1, 2, 3], [4, 5, 6], [7]]);
+  assert.strictEqual(await forEachChunk([], 3, () => assert.fail('пустой вход')), 0);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { readCsvFile } = require('../csv');
+const { compileRoutes, matchRoute } = require('../routes');
+const { matchJobs } = require('../matcher');
+const { createMatchPool, matchJobsParallel } = require('../matchWorkers');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+/**
+ * URL /product/ и /catalog/ из CSV обхода в data/
+ * @returns {Array<string>} пути без повторов
+ */
+function readCrawlPaths() {
+  const paths = new Set();
+  for (const file of fs.readdirSync(DATA_DIR).filter(file => file.toLowerCase().endsWith('.csv'))) {
+    for (const row of readCsvFile(path.join(DATA_DIR, file)).rows) {
+      if (/^\/(product|catalog)\//.test(row.url || '')) paths.add(row.url);
+    }
+  }
+  return [...paths];
+}
+
+const routes = compileRoutes(config.routes);
+const routed = readCrawlPaths()
+  .map(url => ({ url, route: matchRoute(`https://frizar.ru${url}`, routes) }))
+  .filter(({ route }) => route);
+
+// Справочники - четные коды каждого справочника; у товаров есть категория и название
+const catalog = [];
+const products = [];
+routed.forEach(({ route }, i) => {
+  if (i % 2 !== 0) return;
+  const row = { code: route.code, external_id: `id${i}`, name: null, parent_code: null, brand: null, active: 1 };
+  if (route.rule.collection === 'catalog') {
+    catalog.push(row);
+  } else {
+    products.push({ ...row, name: i % 4 === 0 ? route.code.replace(/_/g, ' ') : null, parent_code: catalog.length ? catalog[i % catalog.length].code : null });
+  }
+});
+const references = { products, catalog };
+
+// Задачи - нечетные коды (нет в справочнике) и искаженные коды справочника
+const jobs = routed
+  .filter((item, i) => i % 16 === 1 || i % 16 === 2)
+  .map(({ url, route }, i) => ({
+    from: url,
+    code: i % 2 === 0 ? route.code : `${route.code}_old`,
+    parents: route.parents,
+    rule: route.rule.name,
+    collection: route.rule.collection,
+    alternatives: route.rule.alternatives,
+    rename: null
+  }));
+
+const matchOptions = {
+  scorer: 'levenshtein',
+  numeric: { mode: 'penalize', numberPenalty: 0.6, articlePenalty: 0.3 },
+  limit: 5,
+  minPercent: 60,
+  contextWeight: 0.3,
+  nameWeight: 0.3,
+  similarMinPercent: 30,
+  typePrior: 10,
+  strategies: ['match', 'ancestor', 'similar_products', 'search']
+};
+
+const sequential = matchJobs(jobs, references, matchOptions);
+
+test('параллельное сопоставление совпадает с последовательным', async () => {
+  assert.ok(jobs.length > 150, `задач: ${jobs.length}`);
+  const parallel = await matchJobsParallel(jobs, references, matchOptions, { workers: 2 });
+  assert.deepStrictEqual(parallel, sequential);
+});
+
+test('пул воркеров обрабатывает несколько пачек подряд с тем же результатом', async () => {
+  const pool = createMatchPool(references, matchOptions, { workers: 2 });
+  try {
+    const middle = Math.floor(jobs.length / 2);
+    const first = await pool.match(jobs.slice(0, middle));
+    const second = await pool.match(jobs.slice(middle));
+    assert.deepStrictEqual([...first, ...second], sequential);
+    assert.deepStrictEqual(await pool.match([]), []);
+  } finally {
+    await pool.close();
+  }
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const {
+  initDatabase,
+  closeDatabase,
+  clearTables,
+  insertProducts,
+  recordReferenceHistory,
+  getRenamedCode
+} = require('../db');
+const { compileRoutes, matchRoute } = require('../routes');
+const { matchJob } = require('../matcher');
+
+// Сообщения о вставке записей и истории кодов в выводе тестов не нужны
+mock.method(console, 'log', () => {});
+
+const routes = compileRoutes(config.routes);
+
+const MATCH_OPTIONS = {
+  scorer: 'levenshtein',
+  limit: 5,
+  minPercent: 60,
+  contextWeight: 0.3,
+  nameWeight: 0.3,
+  similarMinPercent: 30,
+  typePrior: 10,
+  strategies: ['match', 'ancestor', 'similar_products', 'search']
+};
+
+/**
+ * Строка справочника (как в таблицах products и catalog)
+ * @param {string} code - код
+ * @param {Object} fields - остальные поля
+ * @returns {Object}
+ */
+const row = (code, fields = {}) => ({
+  code, external_id: null, name: null, parent_code: null, brand: null, active: 1, ...fields
+});
+
+/**
+ * Задача сопоставления для URL по правилам routes.json
+ * @param {string} url - URL
+ * @returns {Object} задача (см. matchJob)
+ */
+function jobFor(url) {
+  const route = matchRoute(url, routes);
+  return {
+    from: url,
+    code: route.code,
+    parents: route.parents,
+    rule: route.rule.name,
+    collection: route.rule.collection,
+    alternatives: route.rule.alternatives,
+    rename: null
+  };
+}
+
+test('поиск по сайту строится из уже декодированного slug со знаком %', () => {
+  const references = { catalog: [row('divany'), row('kresla')], products: [row('divan-oslo')] };
+  const job = jobFor('https://frizar.ru/catalog/skidki_50%25_zzz');
+  assert.strictEqual(job.code, 'skidki_50%_zzz');
+
+  const { matches } = matchJob(job, references, MATCH_OPTIONS);
+
+  assert.deepStrictEqual(matches[0], {
+    code: 'skidki zzz',
+    type: 'search',
+    percent: 0,
+    details: { words: ['skidki', 'zzz'] },
+    strategy: 'search'
+  });
+});
+
+/**
+ * Выгрузка справочника товаров в БД: таблица заменяется записями, пары (id 1С, код) попадают в историю
+ * @param {Array<Object>} records - записи справочника (см. referenceValues в db.js)
+ */
+function loadProducts(records) {
+  clearTables(['products']);
+  insertProducts(records);
+  recordReferenceHistory('products');
+}
+
+test('переименование находится по истории кодов id 1С, в том числе через цепочку переименований', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rename-'));
+  initDatabase(path.join(dir, 'redirects.db'));
+  t.after(() => {
+    closeDatabase();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  loadProducts([{ code: 'divan-oslo', externalId: '1c-001' }, { code: 'kreslo', externalId: '1c-002' }]);
+  loadProducts([{ code: 'divan-oslo-2', externalId: '1c-001' }, { code: 'kreslo', externalId: '1c-002', active: false }]);
+  loadProducts([
+    { code: 'divan-oslo-3', externalId: '1c-001' },
+    { code: 'kreslo-new', externalId: '1c-002', active: false },
+    { code: 'pufik', externalId: '1c-003' }
+  ]);
+
+  // Оба прежних кода ведут на текущий код той же записи 1С
+  assert.deepStrictEqual(getRenamedCode('products', 'divan-oslo'), { code: 'divan-oslo-3', externalId: '1c-001' });
+  assert.deepStrictEqual(getRenamedCode('products', 'divan-oslo-2'), { code: 'divan-oslo-3', externalId: '1c-001' });
+  // Текущий код, неизвестный код и запись, снятая с публикации, не считаются переименованием
+  assert.strictEqual(getRenamedCode('products', 'divan-oslo-3'), null);
+  assert.strictEqual(getRenamedCode('products', 'divan-milan'), null);
+  assert.strictEqual(getRenamedCode('products', 'kreslo'), null);
+
+  const job = { ...jobFor('https://frizar.ru/product/divan-oslo'), rename: getRenamedCode('products', 'divan-oslo') };
+  const references = { products: [row('divan-oslo-3', { external_id: '1c-001' }), row('divan-oslo-milan')], catalog: [] };
+
+  assert.deepStrictEqual(matchJob(job, references, MATCH_OPTIONS).matches, [{
+    code: 'divan-oslo-3',
+    type: 'products',
+    strategy: 'rename',
+    percent: 100,
+    details: { externalId: '1c-001', previousCode: 'divan-oslo' }
+  }]);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const { MIGRATIONS, migrate } = require('../migrations');
+
+test('миграция 16 оставляет один редирект на исходный URL и запрещает дубли', () => {
+  const db = new Database(':memory:');
+  migrate(db, MIGRATIONS.filter(migration => migration.version < 16));
+
+  const insert = db.prepare('INSERT INTO redirects (from_url, to_url, percent, accepted) VALUES (?, ?, ?, ?)');
+  insert.run('https://frizar.ru/a', 'https://frizar.ru/old-a', 50, 0);
+  insert.run('https://frizar.ru/a', 'https://frizar.ru/accepted-a', 40, 1);
+  insert.run('https://frizar.ru/a', 'https://frizar.ru/new-a', 70, 0);
+  insert.run('https://frizar.ru/b', 'https://frizar.ru/old-b', 50, 0);
+  insert.run('https://frizar.ru/b', 'https://frizar.ru/new-b', 60, 0);
+  insert.run('https://frizar.ru/c', 'https://frizar.ru/c-target', 80, 0);
+
+  migrate(db);
+
+  const rows = db.prepare('SELECT from_url, to_url FROM redirects ORDER BY from_url').all();
+  assert.deepStrictEqual(rows, [
+    { from_url: 'https://frizar.ru/a', to_url: 'https://frizar.ru/accepted-a' },
+    { from_url: 'https://frizar.ru/b', to_url: 'https://frizar.ru/new-b' },
+    { from_url: 'https://frizar.ru/c', to_url: 'https://frizar.ru/c-target' }
+  ]);
+  assert.throws(() => insert.run('https://frizar.ru/c', 'https://frizar.ru/other', 10, 0), /UNIQUE/);
+
+  db.close();
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../config');
+const { initDatabase, closeDatabase, insertProducts, getReferenceCodes } = require('../db');
+const { buildProjection, fetchReferences } = require('../mongoFetcher');
+const { SNAPSHOT_FILES } = require('../referenceSnapshots');
+
+// Сообщения о ходе выгрузки в выводе тестов не нужны
+mock.method(console, 'log', () => {});
+
+const PRODUCTS = [
+  { code: 'divan-uglovoy', id: '1c-001', name: 'Диван угловой', parentCode: 'divany', brand: 'Frizar', active: true },
+  { code: 'kreslo', id: '1c-002', name: 'Кресло', parentCode: 'kresla', active: false, updatedAt: new Date('2026-10-01T00:00:00Z') },
+  { code: 'pufik', id: '1c-003' }
+];
+const CATALOG = [
+  { code: 'divany', id: '1c-100', name: 'Диваны' },
+  { code: 'kresla', id: '1c-101', name: 'Кресла', parentCode: 'mebel' }
+];
+
+/**
+ * Тестовый клиент MongoDB: коллекции из массивов документов
+ * Запоминает проекции и размеры пачек запросов и закрытие курсоров
+ * @param {Object<string, Array<Object>>} collections - документы по именам коллекций
+ * @returns {{client: Object, queries: Array<{name: string, projection: Object, batchSize: number, closed: boolean}>}}
+ */
+function createFakeClient(collections) {
+  const queries = [];
+  const client = {
+    db: (databaseName) => ({
+      databaseName,
+      listCollections: (filter) => ({ hasNext: async () => filter.name in collections }),
+      collection: (name) => ({
+        find: (query, options) => {
+          const cursorState = { name, projection: options.projection, batchSize: null, closed: false };
+          queries.push(cursorState);
+          const cursor = {
+            batchSize(size) {
+              cursorState.batchSize = size;
+              return cursor;
+            },
+            async close() {
+              cursorState.closed = true;
+            },
+            async* [Symbol.asyncIterator]() {
+              yield* collections[name];
+            }
+          };
+          return cursor;
+        }
+      })
+    })
+  };
+  return { client, queries };
+}
+
+/**
+ * Временная директория выгрузки: файлы справочников, снимки и БД
+ * @param {TestContext} t - контекст теста (БД закрывается, директория удаляется после теста)
+ * @returns {{dataDir: string, snapshotDir: string, dbFile: string}}
+ */
+function createDirs(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mongo-fetcher-'));
+  const dbFile = path.join(dataDir, 'redirects.db');
+  initDatabase(dbFile);
+  t.after(() => {
+    closeDatabase();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  return { dataDir, snapshotDir: path.join(dataDir, 'snapshots'), dbFile };
+}
+
+/**
+ * Пары (id 1С, код) истории кодов справочника
+ * @param {string} dbFile - файл БД
+ * @param {string} collection - справочник
+ * @returns {Array<{external_id: string, code: string}>}
+ */
+function historyOf(dbFile, collection) {
+  const history = new Database(dbFile, { readonly: true });
+  try {
+    return history.prepare('SELECT external_id, code FROM reference_history WHERE collection = ? ORDER BY external_id')
+      .all(collection);
+  } finally {
+    history.close();
+  }
+}
+
+const collectionsOf = (products, catalog) => ({
+  [config.mongo.collections.products]: products,
+  [config.mongo.collections.catalog]: catalog
+});
+
+test('fetchReferences записывает коллекции в БД и файлы справочников и сохраняет снимок', async (t) => {
+  const { dataDir, snapshotDir, dbFile } = createDirs(t);
+  insertProducts(['old-product']);
+  const { client, queries } = createFakeClient(collectionsOf(PRODUCTS, CATALOG));
+
+  const { counts, snapshot } = await fetchReferences({ client, dataDir, snapshotDir, chunkSize: 2 });
+
+  assert.deepStrictEqual(counts, { products: 3, catalog: 2 });
+  const productsFile = path.join(dataDir, SNAPSHOT_FILES.products);
+  const catalogFile = path.join(dataDir, SNAPSHOT_FILES.catalog);
+  // Документы сохраняются как JSON (даты - строками)
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(productsFile, 'utf8')), JSON.parse(JSON.stringify(PRODUCTS)));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(catalogFile, 'utf8')), CATALOG);
+  assert.deepStrictEqual(fs.readdirSync(dataDir).filter(file => file.endsWith('.tmp')), []);
+
+  assert.strictEqual(snapshot.date, new Date().toISOString().slice(0, 10));
+  assert.strictEqual(fs.readFileSync(snapshot.files.products, 'utf8'), fs.readFileSync(productsFile, 'utf8'));
+  assert.strictEqual(fs.readFileSync(snapshot.files.catalog, 'utf8'), fs.readFileSync(catalogFile, 'utf8'));
+
+  assert.deepStrictEqual(queries.map(query => query.name), Object.keys(collectionsOf([], [])));
+  for (const query of queries) {
+    assert.deepStrictEqual(query.projection, buildProjection(config.references.fields));
+    assert.strictEqual(query.batchSize, 2);
+    assert.strictEqual(query.closed, true);
+  }
+
+  // Таблицы заменяются документами коллекций, пары (id 1С, код) попадают в историю кодов
+  assert.deepStrictEqual(getReferenceCodes('products'), [
+    { code: 'divan-uglovoy', external_id: '1c-001', name: 'Диван угловой', parent_code: 'divany', brand: 'Frizar', active: 1 },
+    { code: 'kreslo', external_id: '1c-002', name: 'Кресло', parent_code: 'kresla', brand: null, active: 0 },
+    { code: 'pufik', external_id: '1c-003', name: null, parent_code: null, brand: null, active: 1 }
+  ]);
+  assert.deepStrictEqual(getReferenceCodes('catalog'), [
+    { code: 'divany', external_id: '1c-100', name: 'Диваны', parent_code: null, brand: null, active: 1 },
+    { code: 'kresla', external_id: '1c-101', name: 'Кресла', parent_code: 'mebel', brand: null, active: 1 }
+  ]);
+  assert.deepStrictEqual(historyOf(dbFile, 'products'), [
+    { external_id: '1c-001', code: 'divan-uglovoy' },
+    { external_id: '1c-002', code: 'kreslo' },
+    { external_id: '1c-003', code: 'pufik' }
+  ]);
+  assert.deepStrictEqual(historyOf(dbFile, 'catalog'), [
+    { external_id: '1c-100', code: 'divany' },
+    { external_id: '1c-101', code: 'kresla' }
+  ]);
+});
+
+test('fetchReferences не заменяет таблицы и файлы, если коллекция пуста или не найдена', async (t) => {
+  const { dataDir, snapshotDir, dbFile } = createDirs(t);
+  insertProducts([{ code: 'old-product', externalId: '1c-000' }]);
+  const productsFile = path.join(dataDir, SNAPSHOT_FILES.products);
+  const catalogFile = path.join(dataDir, SNAPSHOT_FILES.catalog);
+  fs.writeFileSync(productsFile, '[{"code": "old-product"}]');
+  fs.writeFileSync(catalogFile, '[{"code": "old-category"}]');
+
+  const empty = createFakeClient(collectionsOf(PRODUCTS, []));
+  await assert.rejects(fetchReferences({ client: empty.client, dataDir, snapshotDir }), /пуста/);
+  assert.ok(empty.queries.every(query => query.closed));
+
+  const missing = createFakeClient({ [config.mongo.collections.products]: PRODUCTS });
+  await assert.rejects(fetchReferences({ client: missing.client, dataDir, snapshotDir }), /не найдена/);
+
+  // Выгруженная коллекция products не заменяет таблицу и файл, пока не выгружены все коллекции
+  assert.deepStrictEqual(getReferenceCodes('products').map(item => item.code), ['old-product']);
+  assert.deepStrictEqual(getReferenceCodes('catalog'), []);
+  assert.deepStrictEqual(historyOf(dbFile, 'products'), []);
+  assert.strictEqual(fs.readFileSync(productsFile, 'utf8'), '[{"code": "old-product"}]');
+  assert.strictEqual(fs.readFileSync(catalogFile, 'utf8'), '[{"code": "old-category"}]');
+  assert.deepStrictEqual(fs.readdirSync(dataDir).filter(file => file.endsWith('.json')).sort(), Object.values(SNAPSHOT_FILES).sort());
+  assert.deepStrictEqual(fs.readdirSync(dataDir).filter(file => file.endsWith('.tmp')), []);
+  assert.strictEqual(fs.existsSync(snapshotDir), false);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { initDatabase, closeDatabase, insertErrors } = require('../db');
+const { applyCsvStatuses } = require('../processErrors');
+
+// Сообщения о вставке ошибок в выводе тестов не нужны
+mock.method(console, 'log', () => {});
+
+const FRESH = 'https://frizar.ru/product/fresh';
+const STALE = 'https://frizar.ru/product/stale';
+const REMOVED = 'https://frizar.ru/product/removed';
+const UNKNOWN = 'https://frizar.ru/product/unknown';
+
+/**
+ * Время в формате datetime SQLite (UTC)
+ * @param {number} days - сколько дней назад
+ * @returns {string}
+ */
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+
+const CSV_STATUSES = new Map([
+  [FRESH, { status: 404, prevStatus: 200, lastAccess: daysAgo(1) }],
+  [STALE, { status: 410, prevStatus: null, lastAccess: daysAgo(30) }]
+]);
+
+/**
+ * Временная БД с ошибками запуска: URL из CSV обхода, запись, пропавшая из справочника, и URL без статуса
+ * @param {TestContext} t - контекст теста (БД закрывается, директория удаляется после теста)
+ * @returns {string} файл БД
+ */
+function createDatabase(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-statuses-'));
+  const dbFile = path.join(dir, 'redirects.db');
+  initDatabase(dbFile);
+  t.after(() => {
+    closeDatabase();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  insertErrors([{ url: FRESH }, { url: STALE }, { url: UNKNOWN }], 'errors_json');
+  insertErrors([{ url: REMOVED, source: 'reference_diff', status: 410, lastSeen: '2026-10-01 00:00:00' }]);
+  return dbFile;
+}
+
+/**
+ * Статусы URL и их источники в actualStatus
+ * @param {string} dbFile - файл БД
+ * @returns {Object<string, {status: number|null, status_source: string|null, prev_status: number|null}>}
+ */
+function statusesOf(dbFile) {
+  const statuses = new Database(dbFile, { readonly: true });
+  try {
+    const rows = statuses.prepare('SELECT url, status, status_source, prev_status FROM actualStatus').all();
+    return Object.fromEntries(rows.map(({ url, ...status }) => [url, status]));
+  } finally {
+    statuses.close();
+  }
+}
+
+test('офлайн режим берет статусы из CSV обхода и снимков справочников без HTTP проверки', (t) => {
+  const dbFile = createDatabase(t);
+
+  const result = applyCsvStatuses([FRESH, STALE, REMOVED, UNKNOWN], CSV_STATUSES, false, 7);
+
+  assert.deepStrictEqual(result, { fromCsv: 2, fromSnapshots: 1, missing: 1, live: [] });
+  assert.deepStrictEqual(statusesOf(dbFile), {
+    [FRESH]: { status: 404, status_source: 'csv', prev_status: 200 },
+    [STALE]: { status: 410, status_source: 'csv', prev_status: null },
+    [UNKNOWN]: { status: null, status_source: null, prev_status: null },
+    [REMOVED]: { status: 410, status_source: 'reference_diff', prev_status: null }
+  });
+});
+
+test('гибридный режим: свежий статус из CSV обхода важнее HTTP проверки', (t) => {
+  const dbFile = createDatabase(t);
+
+  const result = applyCsvStatuses([FRESH, STALE, REMOVED, UNKNOWN], CSV_STATUSES, true, 7);
+
+  // Устаревшие и отсутствующие в CSV статусы проверяются HTTP запросом
+  assert.deepStrictEqual(result, { fromCsv: 1, fromSnapshots: 0, missing: 0, live: [STALE, REMOVED, UNKNOWN] });
+  assert.deepStrictEqual(statusesOf(dbFile)[FRESH], { status: 404, status_source: 'csv', prev_status: 200 });
+  assert.strictEqual(statusesOf(dbFile)[STALE].status, null);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeRedirectGraph } = require('../redirectGraph');
+
+/**
+ * Найденный редирект (как в таблице redirects)
+ * @param {string} from - путь источника
+ * @param {string} to - путь цели
+ * @param {number} percent - процент совпадения
+ * @param {Object} fields - результат проверки цели (target_status, target_final_url)
+ * @returns {Object}
+ */
+const redirect = (from, to, percent = 80, fields = {}) => ({
+  from_url: `https://frizar.ru${from}`,
+  to_url: `https://frizar.ru${to}`,
+  percent,
+  target_status: null,
+  target_final_url: null,
+  ...fields
+});
+
+/**
+ * Существующий редирект сайта (из CSV обхода)
+ * @param {string} from - путь источника
+ * @param {string} to - путь цели
+ * @param {number|null} status - статус цели
+ * @returns {{from_url: string, to_url: string, status: number|null}}
+ */
+const siteRedirect = (from, to, status = null) => ({
+  from_url: `https://frizar.ru${from}`,
+  to_url: `https://frizar.ru${to}`,
+  status
+});
+
+/**
+ * Редиректы результата без служебных полей: источник, финальная цель, пройденные URL и live
+ * @param {Object} analysis - результат analyzeRedirectGraph
+ * @returns {Array<{from_url: string, to_url: string, chain: Array<string>, live: boolean}>}
+ */
+function targets(analysis) {
+  return analysis.redirects.map(({ from_url, to_url, chain, live }) => ({ from_url, to_url, chain, live }));
+}
+
+test('цепочка A -> B -> C выпрямляется в A -> C', () => {
+  const analysis = analyzeRedirectGraph([
+    redirect('/product/a', '/product/b'),
+    redirect('/product/b', '/product/c')
+  ]);
+
+  assert.deepStrictEqual(targets(analysis), [
+    {
+      from_url: 'https://frizar.ru/product/a',
+      to_url: 'https://frizar.ru/product/c',
+      chain: ['https://frizar.ru/product/b', 'https://frizar.ru/product/c'],
+      live: false
+    },
+    { from_url: 'https://frizar.ru/product/b', to_url: 'https://frizar.ru/product/c', chain: ['https://frizar.ru/product/c'], live: false }
+  ]);
+  assert.strictEqual(analysis.redirects[0].original_to_url, 'https://frizar.ru/product/b');
+  assert.deepStrictEqual(analysis.chains, [
+    { from_url: 'https://frizar.ru/product/a', chain: ['https://frizar.ru/product/b', 'https://frizar.ru/product/c'] }
+  ]);
+});
+
+test('из цикла исключается найденный редирект с наименьшим процентом', () => {
+  const weakest = redirect('/product/b', '/product/c', 65);
+  const analysis = analyzeRedirectGraph([
+    redirect('/product/a', '/product/b', 90),
+    weakest,
+    redirect('/product/c', '/product/a', 75)
+  ]);
+
+  assert.deepStrictEqual(analysis.loops, [
+    { cycle: ['/product/a', '/product/b', '/product/c'], removed: weakest, siteOnly: false }
+  ]);
+  assert.deepStrictEqual(targets(analysis).map(({ from_url, to_url }) => [from_url, to_url]), [
+    ['https://frizar.ru/product/a', 'https://frizar.ru/product/b'],
+    ['https://frizar.ru/product/c', 'https://frizar.ru/product/b']
+  ]);
+});
+
+test('цикл только из редиректов сайта попадает в отчет, редиректы сайта не меняются', () => {
+  const intoLoop = redirect('/product/a', '/product/b');
+  const analysis = analyzeRedirectGraph([intoLoop], [
+    siteRedirect('/product/b', '/product/c'),
+    siteRedirect('/product/c', '/product/b')
+  ]);
+
+  // Исключается найденный редирект, который ведет в цикл
+  assert.deepStrictEqual(analysis.loops, [{ cycle: ['/product/b', '/product/c'], removed: intoLoop, siteOnly: true }]);
+  assert.deepStrictEqual(analysis.redirects, []);
+  assert.deepStrictEqual(analysis.conflicts, []);
+});
+
+test('редирект с from == to исключается', () => {
+  const selfLoop = redirect('/product/a', '/product/a/');
+  const analysis = analyzeRedirectGraph([
+    selfLoop,
+    { ...redirect('/product/b', '/product/c'), to_url: 'https://dev.frizar.ru/product/c' }
+  ]);
+
+  assert.deepStrictEqual(analysis.selfLoops, [selfLoop]);
+  assert.deepStrictEqual(analysis.redirects.map(item => item.from_url), ['https://frizar.ru/product/b']);
+});
+
+test('live: финальная цель отвечает 200 по проверке цели или редиректу сайта', () => {
+  const analysis = analyzeRedirectGraph([
+    redirect('/product/a', '/product/a-new', 80, { target_status: 200 }),
+    redirect('/product/b', '/product/b-new', 80, { target_status: 404 }),
+    redirect('/product/c', '/product/c-old', 80, { target_status: 200, target_final_url: 'https://frizar.ru/product/c-new' }),
+    redirect('/product/d', '/product/d-old'),
+    redirect('/product/e', '/product/e-new')
+  ], [
+    siteRedirect('/product/d-old', '/product/d-new', 200)
+  ]);
+
+  assert.deepStrictEqual(targets(analysis).map(({ from_url, to_url, live }) => [from_url, to_url, live]), [
+    ['https://frizar.ru/product/a', 'https://frizar.ru/product/a-new', true],
+    ['https://frizar.ru/product/b', 'https://frizar.ru/product/b-new', false],
+    ['https://frizar.ru/product/c', 'https://frizar.ru/product/c-new', true],
+    ['https://frizar.ru/product/d', 'https://frizar.ru/product/d-new', true],
+    ['https://frizar.ru/product/e', 'https://frizar.ru/product/e-new', false]
+  ]);
+});
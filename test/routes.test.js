@@ -0,0 +1,102 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const { compileRoutes, matchRoute, buildTargetUrl } = require('../routes');
+const routeConfig = require('../routes.json');
+
+const COLLECTIONS = {
+  products: { target: 'https://frizar.ru/product/{code}' },
+  catalog: { target: 'https://frizar.ru/catalog/{code}' },
+  brands: { target: 'https://frizar.ru/brand/{code}' }
+};
+
+/**
+ * Результат matchRoute без скомпилированного правила (только имя правила)
+ * @param {string} url - URL
+ * @param {Object} routes - подготовленная конфигурация
+ * @returns {{rule: string, code: string, parents: Array<string>}|null}
+ */
+function route(url, routes) {
+  const match = matchRoute(url, routes);
+  return match && { rule: match.rule.name, code: match.code, parents: match.parents };
+}
+
+test('matchRoute извлекает код и родительские категории по правилам routes.json', () => {
+  const routes = compileRoutes(routeConfig);
+
+  assert.deepStrictEqual(route('https://frizar.ru/product/divany/uglovye/divan-oslo?color=grey#reviews', routes),
+    { rule: 'product', code: 'divan-oslo', parents: ['divany', 'uglovye'] });
+  assert.deepStrictEqual(route('https://frizar.ru/catalog/kresla/', routes),
+    { rule: 'catalog', code: 'kresla', parents: [] });
+  assert.deepStrictEqual(route('https://frizar.ru/catalog/%D0%B4%D0%B8%D0%B2%D0%B0%D0%BD%D1%8B', routes),
+    { rule: 'catalog', code: 'диваны', parents: [] });
+  assert.strictEqual(route('https://frizar.ru/catalog/', routes), null);
+  assert.strictEqual(route('https://frizar.ru/about', routes), null);
+});
+
+test('matchRoute возвращает null для URL с некорректным кодированием', () => {
+  const error = mock.method(console, 'error', () => {});
+  try {
+    assert.strictEqual(matchRoute('https://frizar.ru/product/%E0%A4%A', compileRoutes(routeConfig)), null);
+    assert.strictEqual(error.mock.callCount(), 1);
+  } finally {
+    error.mock.restore();
+  }
+});
+
+test('первое подходящее правило выбирается по порядку, способы lastSegment и group', () => {
+  const routes = compileRoutes({
+    collections: COLLECTIONS,
+    rules: [
+      {
+        name: 'brand',
+        pattern: '^/brands?/(?:(?<parents>[a-z]+(?:/[a-z]+)*)/)?(?<code>[a-z0-9-]+)\\.html$',
+        extractor: 'group',
+        collection: 'brands'
+      },
+      { name: 'legacy', pattern: '^/shop/', extractor: 'lastSegment', collection: 'products', alternatives: ['catalog'] },
+      { pattern: '^/shop/', collection: 'catalog' }
+    ]
+  });
+
+  assert.deepStrictEqual(route('https://frizar.ru/brand/italy/milano/frizar-home.html', routes),
+    { rule: 'brand', code: 'frizar-home', parents: ['italy', 'milano'] });
+  assert.deepStrictEqual(route('https://frizar.ru/brands/frizar.html', routes),
+    { rule: 'brand', code: 'frizar', parents: [] });
+  assert.deepStrictEqual(route('https://frizar.ru/shop/divany/divan-oslo', routes),
+    { rule: 'legacy', code: 'divan-oslo', parents: [] });
+  // Правило без имени и способа извлечения: имя по номеру, способ segments
+  assert.strictEqual(routes.rules[2].name, 'rule3');
+  assert.deepStrictEqual(route('https://frizar.ru/shop/divany/divan-oslo', { rules: [routes.rules[2]] }),
+    { rule: 'rule3', code: 'divan-oslo', parents: ['divany'] });
+});
+
+test('compileRoutes проверяет конфигурацию маршрутов', () => {
+  assert.throws(() => compileRoutes(null), /collections и массив rules/);
+  assert.throws(() => compileRoutes({ collections: COLLECTIONS }), /collections и массив rules/);
+  assert.throws(() => compileRoutes({ collections: { products: {} }, rules: [] }), /Для справочника products не задан шаблон/);
+  assert.throws(() => compileRoutes({ collections: COLLECTIONS, rules: [{ name: 'product', collection: 'products' }] }),
+    /В правиле product не задан pattern/);
+  assert.throws(() => compileRoutes({
+    collections: COLLECTIONS,
+    rules: [{ name: 'product', pattern: '/product/', extractor: 'regex', collection: 'products' }]
+  }), /Неизвестный способ извлечения slug в правиле product: regex. Доступны: segments, lastSegment, group/);
+  assert.throws(() => compileRoutes({
+    collections: COLLECTIONS,
+    rules: [{ name: 'product', pattern: '/product/', collection: 'products', alternatives: ['articles'] }]
+  }), /Справочник articles из правила product не описан в collections/);
+});
+
+test('buildTargetUrl строит целевой URL по шаблону справочника, правила или поиска', () => {
+  const routes = compileRoutes({
+    collections: COLLECTIONS,
+    rules: [{ name: 'legacy', pattern: '^/shop/', collection: 'products', target: 'https://frizar.ru/shop/{code}' }]
+  });
+  const { targets } = routes.rules[0];
+
+  assert.strictEqual(buildTargetUrl({ code: 'divan-oslo', type: 'products' }, targets), 'https://frizar.ru/shop/divan-oslo');
+  assert.strictEqual(buildTargetUrl({ code: 'divany', type: 'catalog' }, targets), 'https://frizar.ru/catalog/divany');
+  assert.strictEqual(buildTargetUrl({ code: 'divan oslo', type: 'search' }, targets, 'https://frizar.ru/search?q={query}'),
+    'https://frizar.ru/search?q=divan%20oslo');
+  assert.throws(() => buildTargetUrl({ code: 'x', type: 'articles' }, targets), /Не задан шаблон целевого URL для справочника articles/);
+});
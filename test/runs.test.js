@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffRuns } = require('../runs');
+
+const redirect = (from, to, percent = 80) => ({
+  from_url: `https://frizar.ru${from}`,
+  to_url: `https://frizar.ru${to}`,
+  percent
+});
+
+test('diffRuns находит новые, удаленные и измененные редиректы', () => {
+  const before = [
+    redirect('/product/a', '/product/a-new'),
+    redirect('/product/b', '/product/b-new'),
+    redirect('/product/c', '/catalog/c'),
+    redirect('/product/d', '/product/d-new', 60)
+  ];
+  const after = [
+    redirect('/product/e', '/product/e-new'),
+    redirect('/product/d', '/product/d-new', 95),
+    redirect('/product/c', '/product/c-new'),
+    redirect('/product/a', '/product/a-new')
+  ];
+
+  assert.deepStrictEqual(diffRuns(before, after), {
+    added: [redirect('/product/e', '/product/e-new')],
+    removed: [redirect('/product/b', '/product/b-new')],
+    // Изменение процента без смены целевого URL не считается изменением
+    changed: [{
+      from_url: 'https://frizar.ru/product/c',
+      before: redirect('/product/c', '/catalog/c'),
+      after: redirect('/product/c', '/product/c-new')
+    }]
+  });
+});
+
+test('diffRuns для пустого и одинаковых снимков', () => {
+  const redirects = [redirect('/product/a', '/product/a-new'), redirect('/catalog/b', '/catalog/b-new')];
+
+  assert.deepStrictEqual(diffRuns(redirects, redirects), { added: [], removed: [], changed: [] });
+  assert.deepStrictEqual(diffRuns([], redirects), { added: redirects, removed: [], changed: [] });
+  assert.deepStrictEqual(diffRuns(redirects, []), { added: [], removed: redirects, changed: [] });
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readSitemapUrls, readSitemapDiff } = require('../importers/sitemapDiff');
+
+// Сводка сравнения в выводе тестов не нужна
+mock.method(console, 'log', () => {});
+
+const HOST = 'https://frizar.ru';
+
+const PREVIOUS = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc>https://frizar.ru/product/old-sofa</loc>
+    <lastmod>2026-10-01T12:00:00+03:00</lastmod>
+  </url>
+  <url><loc> https://FRIZAR.ru/catalog/chairs?utm_source=sitemap#top </loc></url>
+  <url><loc>/search?q=sofa&amp;page=2</loc><lastmod>2026-09-15</lastmod></url>
+  <url><loc>https://frizar.ru/product/kept</loc></url>
+  <url><lastmod>2026-10-01</lastmod></url>
+</urlset>
+`;
+
+const CURRENT = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://frizar.ru/product/kept</loc><lastmod>2026-10-10</lastmod></url>
+  <url><loc>https://frizar.ru/catalog/chairs</loc></url>
+  <url><loc>https://frizar.ru/product/new-sofa</loc></url>
+</urlset>
+`;
+
+/**
+ * Временные файлы предыдущего и текущего sitemap.xml
+ * @param {TestContext} t - контекст теста (директория удаляется после теста)
+ * @returns {{previous: string, current: string}}
+ */
+function writeSitemaps(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const previous = path.join(dir, 'sitemap.previous.xml');
+  const current = path.join(dir, 'sitemap.xml');
+  fs.writeFileSync(previous, PREVIOUS);
+  fs.writeFileSync(current, CURRENT);
+  return { previous, current };
+}
+
+test('readSitemapUrls нормализует URL, декодирует сущности и читает lastmod', (t) => {
+  const { previous } = writeSitemaps(t);
+
+  assert.deepStrictEqual(readSitemapUrls(previous, HOST), new Map([
+    ['https://frizar.ru/product/old-sofa', '2026-10-01 09:00:00'],
+    ['https://frizar.ru/catalog/chairs', null],
+    ['https://frizar.ru/search?q=sofa&page=2', '2026-09-15 00:00:00'],
+    ['https://frizar.ru/product/kept', null]
+  ]));
+});
+
+test('readSitemapDiff возвращает URL, пропавшие из текущего sitemap, без статуса', (t) => {
+  const { previous, current } = writeSitemaps(t);
+
+  assert.deepStrictEqual(readSitemapDiff(previous, current, { host: HOST }), [
+    { url: 'https://frizar.ru/product/old-sofa', source: 'sitemap_diff', hits: 1, lastSeen: '2026-10-01 09:00:00', status: null },
+    { url: 'https://frizar.ru/search?q=sofa&page=2', source: 'sitemap_diff', hits: 1, lastSeen: '2026-09-15 00:00:00', status: null }
+  ]);
+  assert.deepStrictEqual(readSitemapDiff(current, current, { host: HOST }), []);
+});
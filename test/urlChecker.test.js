@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createRateLimiter, checkUrls } = require('../urlChecker');
+
+/**
+ * Локальный HTTP сервер: /ok - 200, /moved - 301 на /ok, остальные - 404
+ * Считает одновременные запросы
+ * @returns {Promise<{baseUrl: string, stats: {active: number, maxActive: number, requests: number}, close: Function}>}
+ */
+async function startServer() {
+  const stats = { active: 0, maxActive: 0, requests: 0 };
+  const server = http.createServer((req, res) => {
+    stats.active++;
+    stats.requests++;
+    stats.maxActive = Math.max(stats.maxActive, stats.active);
+    setTimeout(() => {
+      stats.active--;
+      const pathname = req.url.split('?')[0];
+      if (pathname === '/moved') {
+        res.writeHead(301, { Location: '/ok' });
+      } else {
+        res.writeHead(pathname === '/ok' ? 200 : 404);
+      }
+      res.end();
+    }, 20);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    stats,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('checkUrls проверяет каждый URL один раз и не превышает параллелизм', async () => {
+  const server = await startServer();
+  try {
+    const urls = Array.from({ length: 12 }, (value, i) => `${server.baseUrl}/${i % 3 === 0 ? 'ok' : 'missing'}?n=${i}`);
+    const results = new Map();
+    await checkUrls(urls, (url, result) => results.set(url, result.status), {
+      concurrency: 3,
+      checkOptions: { cacheTtlHours: 0, retries: 0, limiter: createRateLimiter(0) }
+    });
+
+    assert.strictEqual(results.size, urls.length);
+    assert.strictEqual(server.stats.requests, urls.length);
+    assert.ok(server.stats.maxActive <= 3, `одновременных запросов: ${server.stats.maxActive}`);
+    assert.strictEqual(results.get(`${server.baseUrl}/ok?n=0`), 200);
+    assert.strictEqual(results.get(`${server.baseUrl}/missing?n=1`), 404);
+  } finally {
+    await server.close();
+  }
+});
+
+test('checkUrls соблюдает лимит запросов в секунду и проходит редиректы', async () => {
+  const server = await startServer();
+  try {
+    const urls = Array.from({ length: 5 }, () => `${server.baseUrl}/moved`);
+    const results = [];
+    const startedAt = Date.now();
+    await checkUrls(urls, (url, result) => results.push(result), {
+      concurrency: 5,
+      checkOptions: { cacheTtlHours: 0, retries: 0, limiter: createRateLimiter(20) }
+    });
+
+    // 10 запросов (редирект и финальная страница) при 20 в секунду - не меньше 450 мс
+    assert.ok(Date.now() - startedAt >= 400, `прошло ${Date.now() - startedAt} мс`);
+    for (const result of results) {
+      assert.strictEqual(result.status, 200);
+      assert.strictEqual(result.finalUrl, `${server.baseUrl}/ok`);
+    }
+  } finally {
+    await server.close();
+  }
+});
+
+test('checkUrls передает исключения обработчику ошибок', async () => {
+  const server = await startServer();
+  try {
+    const failed = [];
+    await checkUrls([`${server.baseUrl}/ok`, `${server.baseUrl}/missing`], (url) => {
+      if (url.endsWith('/missing')) throw new Error('сбой записи');
+    }, {
+      concurrency: 2,
+      checkOptions: { cacheTtlHours: 0, retries: 0, limiter: createRateLimiter(0) },
+      onError: (url, error) => failed.push([url, error.message])
+    });
+    assert.deepStrictEqual(failed, [[`${server.baseUrl}/missing`, 'сбой записи']]);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,238 @@
+const axios = require('axios');
+const { getCachedCheck, saveCachedCheck } = require('./db');
+const config = require('./config');
+
+// Максимальное количество редиректов в цепочке
+const MAX_REDIRECTS = 10;
+
+// Коды ошибок сети по классам ошибки
+const NETWORK_ERROR_CLASSES = {
+  ECONNABORTED: 'timeout',
+  ETIMEDOUT: 'timeout',
+  ENOTFOUND: 'dns',
+  EAI_AGAIN: 'dns',
+  ECONNREFUSED: 'connection',
+  ECONNRESET: 'connection',
+  EPIPE: 'connection',
+  EHOSTUNREACH: 'connection',
+  ENETUNREACH: 'connection'
+};
+
+// Классы ошибок, после которых запрос повторяется
+const RETRYABLE_ERROR_CLASSES = ['timeout', 'dns', 'connection', 'network', 'http_5xx'];
+
+// Статусы ответа на HEAD, при которых проверка повторяется через GET
+const HEAD_UNSUPPORTED_STATUSES = [405, 501];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Ограничитель частоты запросов: запросы равномерно распределяются по времени
+ * @param {number} requestsPerSecond - максимальное количество запросов в секунду (0 - без ограничения)
+ * @returns {Function} async функция, которая ждет разрешения на следующий запрос
+ */
+function createRateLimiter(requestsPerSecond) {
+  if (!requestsPerSecond || requestsPerSecond <= 0) {
+    return async () => {};
+  }
+
+  const interval = 1000 / requestsPerSecond;
+  let nextSlot = 0;
+
+  return async () => {
+    const now = Date.now();
+    const wait = Math.max(0, nextSlot - now);
+    nextSlot = Math.max(now, nextSlot) + interval;
+    if (wait > 0) {
+      await sleep(wait);
+    }
+  };
+}
+
+// Общий ограничитель для всех проверок URL процесса (статусы ошибок, цели, редиректы сайта)
+let defaultLimiter = null;
+
+/**
+ * Класс ошибки запроса
+ * @param {Error} error - ошибка axios
+ * @returns {string} 'timeout', 'dns', 'connection', 'network' или 'request'
+ */
+function classifyRequestError(error) {
+  if (error.code && NETWORK_ERROR_CLASSES[error.code]) {
+    return NETWORK_ERROR_CLASSES[error.code];
+  }
+  // Запрос был сделан, но ответа не получено
+  return error.request ? 'network' : 'request';
+}
+
+/**
+ * Один HTTP запрос без перехода по редиректам
+ * При headFirst сначала выполняется HEAD, GET - только если сервер не поддерживает HEAD
+ * @param {string} url - URL
+ * @param {Object} options - опции проверки (см. checkUrlStatus)
+ * @param {Function} limiter - ограничитель частоты запросов
+ * @returns {Promise<{status: number, location: string|null}>} статус и заголовок Location
+ */
+async function requestOnce(url, options, limiter) {
+  const requestConfig = {
+    timeout: options.timeoutMs,
+    validateStatus: () => true, // Не выбрасывать ошибку для любых статусов
+    maxRedirects: 0, // Редиректы проходятся вручную
+    headers: { 'User-Agent': options.userAgent }
+  };
+
+  let response = null;
+  if (options.headFirst) {
+    await limiter();
+    response = await axios.head(url, requestConfig);
+  }
+  if (!response || HEAD_UNSUPPORTED_STATUSES.includes(response.status)) {
+    await limiter();
+    response = await axios.get(url, requestConfig);
+  }
+
+  const isRedirect = response.status >= 300 && response.status < 400;
+  return { status: response.status, location: isRedirect ? response.headers.location || null : null };
+}
+
+/**
+ * Одна попытка проверки URL: проход по всей цепочке редиректов
+ * @param {string} url - URL для проверки
+ * @param {Object} options - опции проверки (см. checkUrlStatus)
+ * @param {Function} limiter - ограничитель частоты запросов
+ * @returns {Promise<{status: number|null, finalUrl: string|null, chain: Array<Object>, errorClass: string|null}>}
+ */
+async function followRedirects(url, options, limiter) {
+  const chain = [];
+  let currentUrl = url;
+
+  try {
+    while (true) {
+      const { status, location } = await requestOnce(currentUrl, options, limiter);
+      chain.push({ url: currentUrl, status, location });
+
+      if (!location) {
+        break;
+      }
+
+      const nextUrl = new URL(location, currentUrl).href;
+      if (chain.length > MAX_REDIRECTS || chain.some(hop => hop.url === nextUrl)) {
+        console.error(`Слишком много редиректов или цикл редиректов для ${url}`);
+        return { status: null, finalUrl: null, chain, errorClass: 'redirect_loop' };
+      }
+      currentUrl = nextUrl;
+    }
+  } catch (error) {
+    const errorClass = classifyRequestError(error);
+    if (errorClass === 'request') {
+      console.error(`Ошибка при запросе ${currentUrl}:`, error.message);
+    } else {
+      console.error(`Нет ответа от сервера для ${currentUrl} (${errorClass})`);
+    }
+    return { status: null, finalUrl: null, chain, errorClass };
+  }
+
+  // Редирект, отличающийся только завершающим слешем, не считается редиректом
+  const normalizeUrl = (u) => u.replace(/\/$/, '');
+  const wasRedirected = normalizeUrl(currentUrl) !== normalizeUrl(url);
+  const status = chain[chain.length - 1].status;
+
+  return {
+    status,
+    finalUrl: wasRedirected ? currentUrl : null,
+    chain,
+    errorClass: status >= 500 ? 'http_5xx' : null
+  };
+}
+
+/**
+ * Проверка статуса URL с отслеживанием редиректов
+ * Редиректы проходятся вручную, чтобы сохранить всю цепочку: каждый шаг - URL, статус и заголовок Location.
+ * Ошибки сети и ответы 5xx повторяются с экспоненциальной задержкой, частота запросов ограничивается
+ * общим для процесса ограничителем (config.http.requestsPerSecond).
+ * Успешные результаты (статус получен, не 5xx) сохраняются в кэш http_cache и используются повторно,
+ * пока не старше cacheTtlHours
+ * @param {string} url - URL для проверки
+ * @param {Object} options - опции проверки (по умолчанию из config.http)
+ * @param {number} options.retries - количество повторов после неудачной попытки
+ * @param {number} options.retryDelayMs - задержка перед первым повтором, далее удваивается
+ * @param {number} options.timeoutMs - таймаут одного запроса
+ * @param {string} options.userAgent - заголовок User-Agent
+ * @param {boolean} options.headFirst - сначала HEAD запрос, GET - только если HEAD не поддерживается
+ * @param {Function} options.limiter - ограничитель частоты запросов (см. createRateLimiter)
+ * @param {number} options.cacheTtlHours - срок актуальности результата в кэше в часах (0 - без кэша)
+ * @returns {Promise<{status: number|null, finalUrl: string|null, chain: Array<{url: string, status: number, location: string|null}>,
+ * responseTimeMs: number, errorClass: string|null, attempts: number, cached: boolean}>} HTTP статус финальной страницы,
+ * финальный URL (null, если редиректа не было), цепочка шагов, время ответа последней попытки, класс ошибки,
+ * количество попыток и признак результата из кэша
+ */
+async function checkUrlStatus(url, options = {}) {
+  const settings = { ...config.http, ...options };
+  if (!settings.limiter) {
+    defaultLimiter = defaultLimiter || createRateLimiter(config.http.requestsPerSecond);
+    settings.limiter = defaultLimiter;
+  }
+
+  if (settings.cacheTtlHours > 0) {
+    const cachedResult = getCachedCheck(url, settings.cacheTtlHours);
+    if (cachedResult) {
+      return { ...cachedResult, errorClass: null, cached: true };
+    }
+  }
+
+  let attempts = 0;
+  while (true) {
+    attempts++;
+    const startedAt = Date.now();
+    const result = await followRedirects(url, settings, settings.limiter);
+    const responseTimeMs = Date.now() - startedAt;
+
+    if (!RETRYABLE_ERROR_CLASSES.includes(result.errorClass) || attempts > settings.retries) {
+      const checked = { ...result, responseTimeMs, attempts, cached: false };
+      if (settings.cacheTtlHours > 0 && checked.status !== null && !checked.errorClass) {
+        saveCachedCheck(url, checked);
+      }
+      return checked;
+    }
+
+    const delay = settings.retryDelayMs * 2 ** (attempts - 1);
+    console.log(`Повтор ${attempts}/${settings.retries} для ${url} через ${delay} мс (${result.errorClass})`);
+    await sleep(delay);
+  }
+}
+
+/**
+ * Проверка списка URL с ограничением параллелизма: каждый обработчик берет следующий URL из очереди.
+ * Частота запросов ограничивается общим ограничителем checkUrlStatus (HTTP_REQUESTS_PER_SECOND)
+ * @param {Array<string>} urls - URL для проверки
+ * @param {Function} onResult - обработка результата (url, result), вызывается сразу после проверки URL
+ * @param {Object} options - опции проверки
+ * @param {number} options.concurrency - количество одновременных проверок (по умолчанию config.http.concurrency)
+ * @param {Object} options.checkOptions - опции checkUrlStatus
+ * @param {Function} options.onError - обработка исключения (url, error); по умолчанию исключение пробрасывается
+ * @returns {Promise<void>}
+ */
+async function checkUrls(urls, onResult, options = {}) {
+  const { concurrency = config.http.concurrency, checkOptions = {}, onError = null } = options;
+
+  let next = 0;
+  const worker = async () => {
+    while (next < urls.length) {
+      const url = urls[next++];
+      try {
+        onResult(url, await checkUrlStatus(url, checkOptions));
+      } catch (error) {
+        if (!onError) throw error;
+        onError(url, error);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), urls.length) }, worker));
+}
+
+module.exports = {
+  createRateLimiter,
+  checkUrlStatus,
+  checkUrls
+};
@@ -0,0 +1,77 @@
+require('dotenv').config();
+const { initDatabase, closeDatabase, getTargetsToValidate, updateTargetStatus } = require('./db');
+const config = require('./config');
+const { checkUrls } = require('./urlChecker');
+
+/**
+ * Проверка, что целевая страница редиректа доступна: статус 200 без дальнейшего редиректа
+ * @param {{target_status: number|null, target_final_url: string|null}} redirect - редирект из БД
+ * @returns {boolean} true, если цель проверена и отвечает 200
+ */
+function isLiveTarget(redirect) {
+  return redirect.target_status === 200 && !redirect.target_final_url;
+}
+
+/**
+ * Проверка целевых URL редиректов через GET запросы
+ * Для каждого уникального to_url сохраняются статус и финальный URL (если страница редиректит).
+ * Параллелизм и частота запросов ограничиваются так же, как при проверке статусов ошибок (см. checkUrls)
+ * @param {Object} options - опции проверки
+ * @param {number} options.concurrency - количество одновременных запросов (по умолчанию config.http.concurrency)
+ * @param {number|null} options.maxAgeHours - не перепроверять результаты новее maxAgeHours часов,
+ * null - проверить все целевые URL (по умолчанию null)
+ * @param {boolean} options.useCache - использовать актуальные результаты из кэша HTTP проверок (по умолчанию true)
+ * @returns {Promise<{checked: number, live: number, invalid: number}>} статистика проверки
+ */
+async function validateTargets(options = {}) {
+  const { concurrency = config.http.concurrency, maxAgeHours = null, useCache = true } = options;
+  const urls = getTargetsToValidate(maxAgeHours);
+  const stats = { checked: 0, live: 0, invalid: 0 };
+
+  console.log(`[validateTargets] Проверка ${urls.length} целевых URL, параллелизм: ${concurrency}`);
+
+  await checkUrls(urls, (url, result) => {
+    updateTargetStatus(url, result.status, result.finalUrl);
+    stats.checked++;
+
+    if (isLiveTarget({ target_status: result.status, target_final_url: result.finalUrl })) {
+      stats.live++;
+    } else {
+      stats.invalid++;
+      const redirectInfo = result.finalUrl ? ` -> редирект на ${result.finalUrl}` : '';
+      console.log(`[validateTargets] ✗ ${url}${redirectInfo} -> статус ${result.status ?? 'нет ответа'}`);
+    }
+
+    if (stats.checked % 100 === 0) {
+      console.log(`[validateTargets] Проверено ${stats.checked}/${urls.length} URL`);
+    }
+  }, { concurrency, checkOptions: useCache ? {} : { cacheTtlHours: 0 } });
+
+  console.log(`[validateTargets] ✓ Проверка завершена: доступны ${stats.live}, недоступны или редиректят ${stats.invalid}`);
+  return stats;
+}
+
+/**
+ * Основная функция: повторная проверка всех целевых URL без кэша HTTP проверок
+ */
+async function main() {
+  try {
+    initDatabase();
+    await validateTargets({ useCache: false });
+  } catch (error) {
+    console.error('Ошибка:', error);
+    process.exitCode = 1;
+  } finally {
+    closeDatabase();
+  }
+}
+
+// Запуск
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  isLiveTarget,
+  validateTargets
+};